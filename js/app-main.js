@@ -7,6 +7,10 @@ import { RouteEditor } from './route-editor.js';
 import { ModeSwitcher } from './mode-switcher.js';
 import { PointInfoManager } from './point-info-manager.js';
 import { PointEditor } from './point-editor.js';
+import { GeoreferenceStore } from './georeference-store.js';
+import { ProjectManager } from './project-manager.js';
+import { HistoryManager } from './history-manager.js';
+import { AutosaveManager } from './autosave-manager.js';
 import { CONFIG, EVENTS, DEFAULTS } from './constants.js';
 import { Logger } from './utils/logger.js';
 import { errorHandler } from './utils/error-handler.js';
@@ -22,6 +26,10 @@ class GSIMapApp {
         this.modeSwitcher = null;
         this.pointInfoManager = null;
         this.pointEditor = null;
+        this.georeferenceStore = null;
+        this.projectManager = null;
+        this.historyManager = null;
+        this.autosaveManager = null;
         
         this.logger.info('GSIMapApp初期化開始');
     }
@@ -63,6 +71,9 @@ class GSIMapApp {
             // 各機能モジュール初期化
             await this.initializeModules();
             
+            // 自動保存を開始し、前回の作業状態の復元を提案
+            await this.autosaveManager.start();
+            
             this.logger.info('アプリケーション初期化完了');
             
         } catch (error) {
@@ -80,6 +91,10 @@ class GSIMapApp {
             this.imageOverlay = new ImageOverlay(this.mapCore);
             this.logger.debug('ImageOverlay初期化完了');
             
+            // ジオリファレンス結果の保存・読み込み初期化
+            this.georeferenceStore = new GeoreferenceStore(this.imageOverlay);
+            this.logger.debug('GeoreferenceStore初期化完了');
+            
             // GPSData初期化
             this.gpsData = new GPSData(this.mapCore.getMap(), this.pointInfoManager);
             this.logger.debug('GPSData初期化完了');
@@ -99,8 +114,41 @@ class GSIMapApp {
             
             // 既存のGPSデータからポイントを読み込み
             this.pointEditor.loadExistingPoints();
+            
+            // ルート分割で分岐点のGPSポイントを追加した場合、ポイント編集の対象に加える
+            // （履歴はルート分割と合わせて1つの操作として記録される）
+            this.routeEditor.setGpsPointAddedCallback(() => {
+                this.pointEditor.refreshExistingMarkerEvents();
+                this.pointEditor.updatePointCountField();
+                this.pointEditor.recordHistory('分岐点の追加');
+            });
             this.logger.debug('既存GPSポイント読み込み完了');
             
+            // 操作履歴（元に戻す／やり直し）を初期化
+            this.historyManager = new HistoryManager();
+            this.imageOverlay.setHistoryManager(this.historyManager);
+            this.pointEditor.setHistoryManager(this.historyManager);
+            this.routeEditor.setHistoryManager(this.historyManager);
+            this.pointOverlay.setHistoryManager(this.historyManager);
+            this.logger.debug('HistoryManager初期化完了');
+            
+            // プロジェクトの保存・読み込み機能を初期化
+            this.projectManager = new ProjectManager({
+                imageOverlay: this.imageOverlay,
+                georeferenceStore: this.georeferenceStore,
+                gpsData: this.gpsData,
+                pointOverlay: this.pointOverlay,
+                pointEditor: this.pointEditor,
+                routeEditor: this.routeEditor,
+                modeSwitcher: this.modeSwitcher,
+                historyManager: this.historyManager
+            });
+            this.logger.debug('ProjectManager初期化完了');
+            
+            // 作業状態の自動保存機能を初期化
+            this.autosaveManager = new AutosaveManager(this.projectManager);
+            this.logger.debug('AutosaveManager初期化完了');
+            
         } catch (error) {
             this.logger.error('モジュール初期化中にエラーが発生', error);
             throw error;
@@ -153,7 +201,12 @@ class GSIMapApp {
                         }
                     }
                     
-                    this.imageOverlay.loadImage(file).catch(error => {
+                    this.imageOverlay.loadImage(file).then(() => {
+                        // 保存済みの位置合わせ結果があれば適用を提案
+                        if (this.georeferenceStore) {
+                            return this.georeferenceStore.offerStoredGeoreference();
+                        }
+                    }).catch(error => {
                         this.showErrorMessage('画像読み込みエラー', error.message);
                     });
                 } else if (file) {
@@ -188,6 +241,7 @@ class GSIMapApp {
                         // GPS読み込み成功後、PointEditorのイベントハンドラーを更新
                         if (this.pointEditor) {
                             this.pointEditor.refreshExistingMarkerEvents();
+                            this.pointEditor.recordHistory('GPS値読み込み');
                         }
                     }).catch(error => {
                         this.showErrorMessage('GPS データ読み込みエラー', error.message);
@@ -196,6 +250,34 @@ class GSIMapApp {
             });
         }
 
+        // GPS値出力ボタンのイベントハンドラー
+        const exportActions = [
+            { element: document.getElementById('exportGpsExcelBtn'), exporter: () => this.gpsData.exportToExcel() },
+            { element: document.getElementById('exportGpsGeoJsonBtn'), exporter: () => this.gpsData.exportToGeoJSON() }
+        ];
+
+        exportActions.forEach(({ element, exporter }) => {
+            if (!element) return;
+
+            element.addEventListener('click', async () => {
+                if (!this.gpsData) {
+                    this.showErrorMessage('GPS データ出力エラー', '地図が初期化されていません。');
+                    return;
+                }
+
+                try {
+                    const result = await exporter();
+                    if (result.success) {
+                        errorHandler.showSuccess('出力完了', `GPSポイントを出力しました。\nファイル名: ${result.filename}`);
+                    } else if (result.error !== 'キャンセル') {
+                        this.showErrorMessage('GPS データ出力エラー', result.error);
+                    }
+                } catch (error) {
+                    this.showErrorMessage('GPS データ出力エラー', error.message);
+                }
+            });
+        });
+
     }
 
     showErrorMessage(title, message) {
@@ -0,0 +1,315 @@
+// 作業状態を定期的にブラウザ（IndexedDB）へ自動保存し、再読み込み後に復元するモジュール
+// 保存する内容はプロジェクトファイルと同じ形式（ProjectManager.createProjectData）
+import { CONFIG } from './constants.js';
+import { errorHandler } from './utils/error-handler.js';
+
+const DB_NAME = 'TrailMapperAutosave';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+export class AutosaveManager {
+    constructor(projectManager) {
+        this.projectManager = projectManager;
+        this.db = null;
+        this.timerId = null;
+        this.lastSavedState = null;
+        this.savedToFileState = null;
+        // ページを開くたびに別のセッションとして保存し、復元対象（前回のセッション）を上書きしない
+        this.sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.setupEventHandlers();
+        this.projectManager.addProjectSavedCallback(() => this.markSavedToFile());
+    }
+
+    setupEventHandlers() {
+        const autosavePanel = document.getElementById('autosavePanel');
+        const clearAutosaveBtn = document.getElementById('clearAutosaveBtn');
+
+        if (autosavePanel) {
+            autosavePanel.addEventListener('toggle', () => {
+                if (autosavePanel.open) {
+                    this.renderSnapshotList();
+                }
+            });
+        }
+
+        if (clearAutosaveBtn) {
+            clearAutosaveBtn.addEventListener('click', () => this.discardAllSnapshots());
+        }
+
+        // タブを閉じる・切り替える直前にも保存
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveSnapshot();
+            }
+        });
+    }
+
+    // 自動保存を開始し、前回のセッションの復元を提案（復元の回答は待たない）
+    async start() {
+        if (!window.indexedDB) {
+            return;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            // プライベートブラウズなどでIndexedDBが使えない場合は自動保存しない
+            return;
+        }
+
+        try {
+            await this.pruneSnapshots();
+        } catch (error) {
+            // 古いスナップショットを削除できなくても自動保存は続ける（次回の保存時に再度削除する）
+        }
+
+        // 復元の確認ダイアログが他のメッセージで閉じられても自動保存は止めない
+        this.timerId = setInterval(() => this.saveSnapshot(), CONFIG.AUTOSAVE_INTERVAL);
+        this.renderSnapshotList();
+        this.offerRestore().catch(error => {
+            errorHandler.showError('復元エラー', `前回の作業状態を確認できませんでした: ${error.message}`);
+        });
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'sessionId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // オブジェクトストアへの要求をPromiseで実行
+    runRequest(mode, createRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE_NAME, mode);
+            const request = createRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // 保存済みのスナップショットを新しい順に取得
+    async getSnapshots() {
+        if (!this.db) {
+            return [];
+        }
+        const snapshots = await this.runRequest('readonly', store => store.getAll());
+        return snapshots.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    // 現在の作業状態を保存（前回の保存から変化がない場合・空の場合は保存しない）
+    async saveSnapshot() {
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const data = this.projectManager.createProjectData();
+            const { savedAt, ...state } = data;
+            const serialized = JSON.stringify(state);
+            if (serialized === this.lastSavedState || this.isEmptyState(data)) {
+                return;
+            }
+
+            await this.runRequest('readwrite', store => store.put({
+                sessionId: this.sessionId,
+                savedAt,
+                summary: this.createSummary(data),
+                savedToFile: serialized === this.savedToFileState,
+                data
+            }));
+            this.lastSavedState = serialized;
+            await this.pruneSnapshots();
+            this.renderSnapshotList();
+        } catch (error) {
+            // 保存容量不足などで失敗しても作業は継続できるため通知しない
+        }
+    }
+
+    // プロジェクトファイルに保存した状態は、起動時の復元提案の対象外とする
+    markSavedToFile() {
+        const { savedAt, ...state } = this.projectManager.createProjectData();
+        this.savedToFileState = JSON.stringify(state);
+        this.lastSavedState = null;
+        return this.saveSnapshot();
+    }
+
+    // 保存数の上限を超えた古いスナップショットを削除
+    async pruneSnapshots() {
+        const snapshots = await this.getSnapshots();
+        const expired = snapshots.slice(CONFIG.AUTOSAVE_MAX_SNAPSHOTS);
+        for (const snapshot of expired) {
+            await this.deleteSnapshot(snapshot.sessionId);
+        }
+    }
+
+    deleteSnapshot(sessionId) {
+        return this.runRequest('readwrite', store => store.delete(sessionId));
+    }
+
+    isEmptyState(data) {
+        return !data.image &&
+            data.gps.points.length === 0 &&
+            !data.points.pointJson &&
+            data.routes.routes.length === 0;
+    }
+
+    // 一覧表示用の概要（画像名・各データの件数）
+    createSummary(data) {
+        const parts = [];
+        if (data.image) parts.push(data.image.fileName);
+        parts.push(`GPS ${data.gps.points.length}点`);
+        if (data.points.pointJson) parts.push(`ポイント ${data.points.pointJson.points.length}点`);
+        parts.push(`ルート ${data.routes.routes.length}本`);
+        return parts.join(' / ');
+    }
+
+    // 起動時に前回のセッションの復元を提案（最新のセッションがファイルに保存済みなら提案しない）
+    async offerRestore() {
+        const snapshots = await this.getSnapshots();
+        const latest = snapshots.find(snapshot => snapshot.sessionId !== this.sessionId);
+        if (!latest || latest.savedToFile) {
+            return;
+        }
+
+        const confirmed = await errorHandler.showConfirm(
+            '作業状態の復元',
+            `保存されていない前回の作業状態があります。\n保存日時: ${new Date(latest.savedAt).toLocaleString()}\n内容: ${latest.summary}\n\n復元しますか？`,
+            { okLabel: '復元', cancelLabel: '復元しない' }
+        );
+        if (confirmed) {
+            await this.restoreSnapshot(latest);
+        }
+    }
+
+    // スナップショットから作業状態を復元（復元したセッションは引き続き同じ記録に保存）
+    async restoreSnapshot(snapshot) {
+        try {
+            await this.projectManager.restoreProject(snapshot.data);
+            await this.deleteSnapshot(snapshot.sessionId);
+            this.lastSavedState = null;
+            await this.saveSnapshot();
+            errorHandler.showSuccess('復元完了', `作業状態を復元しました。\n保存日時: ${new Date(snapshot.savedAt).toLocaleString()}`);
+        } catch (error) {
+            errorHandler.showError('復元エラー', `作業状態の復元に失敗しました: ${error.message}`);
+        }
+        this.renderSnapshotList();
+    }
+
+    async discardSnapshot(sessionId) {
+        try {
+            await this.deleteSnapshot(sessionId);
+            if (sessionId === this.sessionId) {
+                this.lastSavedState = null;
+            }
+        } catch (error) {
+            errorHandler.showError('削除エラー', `自動保存データの削除に失敗しました: ${error.message}`);
+        }
+        this.renderSnapshotList();
+    }
+
+    async discardAllSnapshots() {
+        let snapshots;
+        try {
+            snapshots = await this.getSnapshots();
+        } catch (error) {
+            errorHandler.showError('削除エラー', `自動保存データを取得できませんでした: ${error.message}`);
+            return;
+        }
+        if (snapshots.length === 0) {
+            return;
+        }
+
+        const confirmed = await errorHandler.showConfirm(
+            '自動保存データの破棄',
+            `自動保存された作業状態（${snapshots.length}件）をすべて破棄しますか？`,
+            { okLabel: '破棄', cancelLabel: 'キャンセル' }
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            await this.runRequest('readwrite', store => store.clear());
+            this.lastSavedState = null;
+        } catch (error) {
+            errorHandler.showError('削除エラー', `自動保存データの削除に失敗しました: ${error.message}`);
+        }
+        this.renderSnapshotList();
+    }
+
+    // 自動保存データの一覧を表示
+    async renderSnapshotList() {
+        const autosaveList = document.getElementById('autosaveList');
+        if (!autosaveList) return;
+
+        // 一覧は保存・削除のたびに待たずに更新するため、取得の失敗はここで処理する
+        let snapshots;
+        try {
+            snapshots = await this.getSnapshots();
+        } catch (error) {
+            autosaveList.innerHTML = '';
+            const errorItem = document.createElement('li');
+            errorItem.className = 'autosave-empty';
+            errorItem.textContent = `自動保存データを取得できませんでした: ${error.message}`;
+            autosaveList.appendChild(errorItem);
+            return;
+        }
+        autosaveList.innerHTML = '';
+
+        if (snapshots.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.className = 'autosave-empty';
+            emptyItem.textContent = '自動保存データはありません';
+            autosaveList.appendChild(emptyItem);
+            return;
+        }
+
+        snapshots.forEach(snapshot => {
+            const listItem = document.createElement('li');
+            const isCurrent = snapshot.sessionId === this.sessionId;
+
+            const label = document.createElement('span');
+            label.className = 'autosave-label';
+            const status = isCurrent ? '（現在の作業）' : snapshot.savedToFile ? '（ファイル保存済み）' : '';
+            label.textContent = `${new Date(snapshot.savedAt).toLocaleString()}${status}`;
+            label.title = snapshot.summary;
+            listItem.appendChild(label);
+
+            if (!isCurrent) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.type = 'button';
+                restoreBtn.textContent = '復元';
+                restoreBtn.addEventListener('click', () => this.confirmRestore(snapshot));
+                listItem.appendChild(restoreBtn);
+            }
+
+            const discardBtn = document.createElement('button');
+            discardBtn.type = 'button';
+            discardBtn.textContent = '破棄';
+            discardBtn.addEventListener('click', () => this.discardSnapshot(snapshot.sessionId));
+            listItem.appendChild(discardBtn);
+
+            autosaveList.appendChild(listItem);
+        });
+    }
+
+    async confirmRestore(snapshot) {
+        const confirmed = await errorHandler.showConfirm(
+            '作業状態の復元',
+            `現在の作業状態を破棄して、以下の作業状態を復元しますか？\n保存日時: ${new Date(snapshot.savedAt).toLocaleString()}\n内容: ${snapshot.summary}`,
+            { okLabel: '復元', cancelLabel: 'キャンセル' }
+        );
+        if (confirmed) {
+            await this.restoreSnapshot(snapshot);
+        }
+    }
+}
@@ -14,6 +14,62 @@ export const CONFIG = {
     ACCEPTED_EXCEL_EXTENSIONS: ['.xlsx'],
     ACCEPTED_JSON_EXTENSIONS: ['.json'],
     
+    // 保存ダイアログのファイル種別（showSaveFilePickerのtypes要素）
+    SAVE_FILE_TYPES: {
+        JSON: {
+            description: 'JSON Files',
+            accept: { 'application/json': ['.json'] }
+        },
+        GEOJSON: {
+            description: 'GeoJSON Files',
+            accept: { 'application/geo+json': ['.geojson'] }
+        },
+        EXCEL: {
+            description: 'Excel Files',
+            accept: { 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'] }
+        },
+        WORLD_FILE: {
+            description: 'World Files',
+            accept: { 'text/plain': ['.pgw'] }
+        }
+    },
+    
+    // ジオリファレンス結果の保存先（localStorageのキー接頭辞、画像ファイル名を付加）
+    GEOREFERENCE_STORAGE_KEY_PREFIX: 'trailMapper.georeference.',
+    
+    // 作業状態の自動保存（IndexedDB）
+    AUTOSAVE_INTERVAL: 60000, // ms
+    AUTOSAVE_MAX_SNAPSHOTS: 5,
+    
+    // 標高タイル（既定は地理院の標高タイル PNG形式。ローカルのタイルフォルダも指定可能）
+    DEFAULT_DEM_TILE_URL: 'https://cyberjapandata.gsi.go.jp/xyz/dem_png/{z}/{x}/{y}.png',
+    DEFAULT_DEM_TILE_ZOOM: 14,
+    DEM_SETTINGS_STORAGE_KEY: 'trailMapper.demSettings',
+    
+    // 標高断面のサンプリング
+    ELEVATION_SAMPLE_INTERVAL: 20, // m
+    ELEVATION_MAX_SAMPLES: 300,
+    
+    // 推定歩行時間の設定（計算方法とパラメータ）
+    HIKING_TIME_SETTINGS_STORAGE_KEY: 'trailMapper.hikingTimeSettings',
+    
+    // 中間点の位置の基準（画像座標／緯度経度）
+    WAYPOINT_ANCHOR_STORAGE_KEY: 'trailMapper.waypointAnchorMode',
+    
+    // 登山道の線のトレース（画像のピクセル単位）
+    TRACE_COLOR_TOLERANCE: 60, // RGB空間での色の距離
+    TRACE_OFF_TRAIL_COST: 30, // 線の色以外のピクセルの通過コスト（線の途切れを越えられる程度）
+    TRACE_SEARCH_MARGIN: 100, // 2点を囲む探索範囲の余白
+    TRACE_MAX_REGION_PIXELS: 4000000, // 探索範囲のピクセル数の上限（Workerのメモリ使用量を抑える）
+    TRACE_SNAP_RADIUS: 8, // 指定位置を線上に合わせる範囲
+    TRACE_SIMPLIFY_TOLERANCE: 3, // 経路の簡略化の許容誤差
+    
+    // ポイント記号の自動検出（テンプレートマッチング）
+    SYMBOL_MATCH_THRESHOLD: 0.8, // 類似度（正規化相互相関）の閾値
+    SYMBOL_COARSE_TEMPLATE_SIZE: 8, // 候補探索時に縮小した見本の大きさ（ピクセル）
+    SYMBOL_COARSE_THRESHOLD_MARGIN: 0.1, // 候補探索時に閾値から下げる幅
+    SYMBOL_MAX_CANDIDATES: 300, // 検出する候補の上限
+    
     // UI設定
     MESSAGE_BOX_Z_INDEX: 10000,
     OVERLAY_CONTROLS_Z_INDEX: 1000,
@@ -53,6 +109,9 @@ export const DEFAULTS = {
     IMAGE_OVERLAY_DEFAULT_SCALE: 0.8,
     IMAGE_OVERLAY_DEFAULT_OPACITY: 50,
     
+    // ジオリファレンス設定
+    GEOREFERENCE_OUTLIER_THRESHOLD: 30, // 外れ値とみなす残差（メートル）
+    
     // UI設定
     CONTROL_PANEL_WIDTH: 320,
     ANIMATION_DURATION: 200
@@ -75,6 +134,7 @@ export const CSS_CLASSES = {
     ERROR: 'error',
     WARNING: 'warning',
     SUCCESS: 'success',
+    CONFIRM: 'confirm',
     VISUALLY_HIDDEN: 'visually-hidden'
 };
 
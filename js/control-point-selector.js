@@ -0,0 +1,106 @@
+// ジオリファレンスの対応点から外れ値を除外する（RANSAC）モジュール
+import { GeoTransform } from './geo-transform.js';
+import { calculateDistance } from './utils/geo-distance.js';
+
+// 全組み合わせを試す対応点数の上限（これを超える場合は組み合わせを間引く）
+const MAX_EXHAUSTIVE_POINTS = 60;
+const MAX_HYPOTHESES = 2000;
+
+export class ControlPointSelector {
+    // RANSACで外れ値を判定する
+    // pairs: [{ id, imageX, imageY, lat, lng }]
+    // forcedIds: 必ず採用する対応点のIDのSet
+    // 戻り値: { inliers: pairs, outliers: pairs }
+    selectInliers(pairs, thresholdMeters, forcedIds = new Set()) {
+        if (pairs.length < 3) {
+            // 2点以下では外れ値を判定できない
+            return { inliers: [...pairs], outliers: [] };
+        }
+
+        let bestInliers = null;
+        let bestError = Infinity;
+
+        // 2点から相似変換の仮説を作成し、閾値内に収まる対応点数が最大のものを選ぶ
+        this.createHypothesisIndexPairs(pairs.length).forEach(([i, j]) => {
+            const hypothesis = GeoTransform.fitSimilarity([pairs[i], pairs[j]]);
+            if (!hypothesis) {
+                return;
+            }
+
+            const { inliers, totalError } = this.evaluate(hypothesis, pairs, thresholdMeters, forcedIds);
+
+            if (!bestInliers || inliers.length > bestInliers.length ||
+                (inliers.length === bestInliers.length && totalError < bestError)) {
+                bestInliers = inliers;
+                bestError = totalError;
+            }
+        });
+
+        if (!bestInliers || bestInliers.length < 2) {
+            return { inliers: [...pairs], outliers: [] };
+        }
+
+        // 採用した対応点で再計算し、閾値で最終判定する
+        // （強制採用の対応点は外れ値の可能性があるため、再計算の基準には含めない）
+        const unforcedInliers = bestInliers.filter(pair => !forcedIds.has(pair.id));
+        const refined = GeoTransform.fitSimilarity(unforcedInliers.length >= 2 ? unforcedInliers : bestInliers);
+        if (refined) {
+            const { inliers } = this.evaluate(refined, pairs, thresholdMeters, forcedIds);
+            if (inliers.length >= 2) {
+                bestInliers = inliers;
+            }
+        }
+
+        const inlierSet = new Set(bestInliers);
+        return {
+            inliers: bestInliers,
+            outliers: pairs.filter(pair => !inlierSet.has(pair))
+        };
+    }
+
+    // 仮説の評価（閾値以内の対応点と、その誤差の合計）
+    evaluate(transform, pairs, thresholdMeters, forcedIds) {
+        const inliers = [];
+        let totalError = 0;
+
+        pairs.forEach(pair => {
+            const predicted = transform.imageToLatLng(pair.imageX, pair.imageY);
+            const error = calculateDistance(predicted.lat, predicted.lng, pair.lat, pair.lng);
+
+            if (forcedIds.has(pair.id)) {
+                inliers.push(pair);
+            } else if (error <= thresholdMeters) {
+                inliers.push(pair);
+                totalError += error;
+            }
+        });
+
+        return { inliers, totalError };
+    }
+
+    // 仮説に使う対応点の組み合わせ（インデックスのペア）を作成
+    createHypothesisIndexPairs(count) {
+        const indexPairs = [];
+
+        if (count <= MAX_EXHAUSTIVE_POINTS) {
+            for (let i = 0; i < count; i++) {
+                for (let j = i + 1; j < count; j++) {
+                    indexPairs.push([i, j]);
+                }
+            }
+            return indexPairs;
+        }
+
+        // 対応点が多い場合は一定間隔で組み合わせを選ぶ（結果が毎回同じになるよう乱数は使わない）
+        const step = Math.max(1, Math.floor(count * (count - 1) / 2 / MAX_HYPOTHESES));
+        let counter = 0;
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                if (counter++ % step === 0) {
+                    indexPairs.push([i, j]);
+                }
+            }
+        }
+        return indexPairs;
+    }
+}
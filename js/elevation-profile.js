@@ -0,0 +1,168 @@
+// ルートに沿った標高断面（距離-標高グラフ）と累積標高差などの統計を扱うモジュール
+import { CONFIG } from './constants.js';
+import { calculateDistance } from './utils/geo-distance.js';
+
+export class ElevationProfile {
+    constructor(elevationProvider) {
+        this.elevationProvider = elevationProvider;
+    }
+
+    setElevationProvider(elevationProvider) {
+        this.elevationProvider = elevationProvider;
+    }
+
+    // 経路の座標（[[lat, lng], ...]）に沿って標高を取得
+    // 戻り値: { samples: [{ distance, lat, lng, elevation }], stats }
+    async createProfile(coordinates) {
+        const samples = this.sampleAlongPath(coordinates);
+        const elevations = await this.elevationProvider.getElevations(samples.map(sample => [sample.lat, sample.lng]));
+        samples.forEach((sample, index) => {
+            sample.elevation = elevations[index];
+        });
+
+        return { samples, stats: this.calculateStats(samples) };
+    }
+
+    // 経路を一定間隔で分割した地点を取得（経路が長い場合は最大サンプル数に収まるよう間隔を広げる）
+    sampleAlongPath(coordinates) {
+        const cumulative = [0];
+        for (let i = 1; i < coordinates.length; i++) {
+            const [lat1, lng1] = coordinates[i - 1];
+            const [lat2, lng2] = coordinates[i];
+            cumulative.push(cumulative[i - 1] + calculateDistance(lat1, lng1, lat2, lng2));
+        }
+
+        const totalLength = cumulative[cumulative.length - 1];
+        const interval = Math.max(
+            CONFIG.ELEVATION_SAMPLE_INTERVAL,
+            totalLength / (CONFIG.ELEVATION_MAX_SAMPLES - 1)
+        );
+
+        const samples = [];
+        let segment = 0;
+        for (let distance = 0; distance < totalLength; distance += interval) {
+            while (segment < coordinates.length - 2 && cumulative[segment + 1] < distance) {
+                segment++;
+            }
+            const segmentLength = cumulative[segment + 1] - cumulative[segment];
+            const ratio = segmentLength > 0 ? (distance - cumulative[segment]) / segmentLength : 0;
+            const [lat1, lng1] = coordinates[segment];
+            const [lat2, lng2] = coordinates[segment + 1];
+            samples.push({
+                distance,
+                lat: lat1 + (lat2 - lat1) * ratio,
+                lng: lng1 + (lng2 - lng1) * ratio
+            });
+        }
+
+        const [lastLat, lastLng] = coordinates[coordinates.length - 1];
+        samples.push({ distance: totalLength, lat: lastLat, lng: lastLng });
+
+        return samples;
+    }
+
+    // 累積標高（登り・下り）と最低・最高標高（標高を取得できなかった地点は除く）
+    calculateStats(samples) {
+        const validSamples = samples.filter(sample => typeof sample.elevation === 'number');
+        const stats = {
+            length: samples.length > 0 ? samples[samples.length - 1].distance : 0,
+            ascent: 0,
+            descent: 0,
+            minElevation: null,
+            maxElevation: null,
+            missingCount: samples.length - validSamples.length
+        };
+
+        if (validSamples.length === 0) {
+            return stats;
+        }
+
+        const elevations = validSamples.map(sample => sample.elevation);
+        stats.minElevation = Math.min(...elevations);
+        stats.maxElevation = Math.max(...elevations);
+
+        for (let i = 1; i < elevations.length; i++) {
+            const difference = elevations[i] - elevations[i - 1];
+            if (difference > 0) {
+                stats.ascent += difference;
+            } else {
+                stats.descent -= difference;
+            }
+        }
+
+        return stats;
+    }
+
+    // 標高断面をcanvasに描画
+    drawChart(canvas, samples) {
+        const context = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = { top: 10, right: 10, bottom: 22, left: 40 };
+
+        context.clearRect(0, 0, width, height);
+
+        const validSamples = samples.filter(sample => typeof sample.elevation === 'number');
+        if (validSamples.length < 2) {
+            context.fillStyle = '#666';
+            context.font = '12px sans-serif';
+            context.fillText('標高データがありません', padding.left, height / 2);
+            return;
+        }
+
+        const totalLength = samples[samples.length - 1].distance || 1;
+        const elevations = validSamples.map(sample => sample.elevation);
+        // 上下に余白を持たせ、10m単位に丸める
+        const minElevation = Math.floor(Math.min(...elevations) / 10) * 10;
+        const maxElevation = Math.max(Math.ceil(Math.max(...elevations) / 10) * 10, minElevation + 10);
+
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const toX = distance => padding.left + distance / totalLength * plotWidth;
+        const toY = elevation => padding.top + (maxElevation - elevation) / (maxElevation - minElevation) * plotHeight;
+
+        // 軸と目盛り
+        context.strokeStyle = '#999';
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(padding.left, padding.top);
+        context.lineTo(padding.left, height - padding.bottom);
+        context.lineTo(width - padding.right, height - padding.bottom);
+        context.stroke();
+
+        context.fillStyle = '#333';
+        context.font = '10px sans-serif';
+        context.textAlign = 'right';
+        context.fillText(`${maxElevation}m`, padding.left - 3, padding.top + 8);
+        context.fillText(`${minElevation}m`, padding.left - 3, height - padding.bottom);
+        context.textAlign = 'left';
+        context.fillText('0', padding.left, height - 6);
+        context.textAlign = 'right';
+        const lengthLabel = totalLength >= 1000 ? `${(totalLength / 1000).toFixed(2)}km` : `${Math.round(totalLength)}m`;
+        context.fillText(lengthLabel, width - padding.right, height - 6);
+
+        // 断面（塗りつぶし + 線）
+        context.beginPath();
+        context.moveTo(toX(validSamples[0].distance), height - padding.bottom);
+        validSamples.forEach(sample => context.lineTo(toX(sample.distance), toY(sample.elevation)));
+        context.lineTo(toX(validSamples[validSamples.length - 1].distance), height - padding.bottom);
+        context.closePath();
+        context.fillStyle = 'rgba(40, 167, 69, 0.25)';
+        context.fill();
+
+        context.beginPath();
+        validSamples.forEach((sample, index) => {
+            const x = toX(sample.distance);
+            const y = toY(sample.elevation);
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.strokeStyle = '#28a745';
+        context.lineWidth = 2;
+        context.stroke();
+        context.textAlign = 'left';
+    }
+}
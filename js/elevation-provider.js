@@ -0,0 +1,132 @@
+// 標高データの取得を担当するモジュール
+// 標高の取得元は getElevations(latLngs) を持つオブジェクトとして差し替えられる。既定は地理院の標高タイル（PNG形式）
+import { CONFIG } from './constants.js';
+
+const TILE_SIZE = 256;
+
+// PNG標高タイルの無効値（2^23）
+const DEM_PNG_NO_DATA = 8388608;
+
+export class DemTileElevationProvider {
+    // urlTemplate: {z}/{x}/{y} を含むタイルURL（ローカルのタイルフォルダへの相対パスも可）
+    constructor(urlTemplate = CONFIG.DEFAULT_DEM_TILE_URL, zoom = CONFIG.DEFAULT_DEM_TILE_ZOOM) {
+        this.urlTemplate = urlTemplate;
+        this.zoom = zoom;
+        this.tileCache = new Map(); // タイルURL → Promise<ImageData | null>
+    }
+
+    // 保存済みの設定（localStorage）から作成
+    static fromStoredSettings() {
+        const settings = DemTileElevationProvider.loadSettings();
+        return new DemTileElevationProvider(settings.urlTemplate, settings.zoom);
+    }
+
+    static loadSettings() {
+        try {
+            const json = localStorage.getItem(CONFIG.DEM_SETTINGS_STORAGE_KEY);
+            const settings = json ? JSON.parse(json) : {};
+            return {
+                urlTemplate: settings.urlTemplate || CONFIG.DEFAULT_DEM_TILE_URL,
+                zoom: Number.isInteger(settings.zoom) ? settings.zoom : CONFIG.DEFAULT_DEM_TILE_ZOOM
+            };
+        } catch (error) {
+            return { urlTemplate: CONFIG.DEFAULT_DEM_TILE_URL, zoom: CONFIG.DEFAULT_DEM_TILE_ZOOM };
+        }
+    }
+
+    static saveSettings({ urlTemplate, zoom }) {
+        try {
+            localStorage.setItem(CONFIG.DEM_SETTINGS_STORAGE_KEY, JSON.stringify({ urlTemplate, zoom }));
+        } catch (error) {
+            // 保存できない場合は今回のみ有効
+        }
+    }
+
+    // 複数地点の標高（メートル）を取得。データがない地点はnull
+    async getElevations(latLngs) {
+        return Promise.all(latLngs.map(([lat, lng]) => this.getElevation(lat, lng)));
+    }
+
+    async getElevation(lat, lng) {
+        const { tileX, tileY, pixelX, pixelY } = this.toTilePixel(lat, lng);
+        const imageData = await this.loadTile(tileX, tileY);
+        if (!imageData) {
+            return null;
+        }
+
+        const offset = (pixelY * TILE_SIZE + pixelX) * 4;
+        const [r, g, b, a] = imageData.data.slice(offset, offset + 4);
+        if (a === 0) {
+            return null;
+        }
+        return this.decodeDemPng(r, g, b);
+    }
+
+    // PNG標高タイルのRGB値を標高に変換（0.01m単位、2^23は無効値）
+    decodeDemPng(r, g, b) {
+        const value = r * 65536 + g * 256 + b;
+        if (value === DEM_PNG_NO_DATA) {
+            return null;
+        }
+        return (value < DEM_PNG_NO_DATA ? value : value - 16777216) * 0.01;
+    }
+
+    // 緯度経度をタイル番号とタイル内のピクセル位置に変換（Webメルカトル）
+    toTilePixel(lat, lng) {
+        const scale = TILE_SIZE * Math.pow(2, this.zoom);
+        const worldX = (lng + 180) / 360 * scale;
+        const sinLat = Math.sin(lat * Math.PI / 180);
+        const worldY = (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale;
+
+        const tileX = Math.floor(worldX / TILE_SIZE);
+        const tileY = Math.floor(worldY / TILE_SIZE);
+        return {
+            tileX,
+            tileY,
+            pixelX: Math.min(TILE_SIZE - 1, Math.floor(worldX - tileX * TILE_SIZE)),
+            pixelY: Math.min(TILE_SIZE - 1, Math.floor(worldY - tileY * TILE_SIZE))
+        };
+    }
+
+    getTileUrl(tileX, tileY) {
+        return this.urlTemplate
+            .replace('{z}', this.zoom)
+            .replace('{x}', tileX)
+            .replace('{y}', tileY);
+    }
+
+    // タイル画像を読み込んでピクセル値を取得（タイルがない場合はnull）
+    // 一時的な通信エラーの場合もあるため、読み込めなかったタイルはキャッシュに残さない
+    loadTile(tileX, tileY) {
+        const url = this.getTileUrl(tileX, tileY);
+        if (!this.tileCache.has(url)) {
+            const request = new Promise(resolve => {
+                const image = new Image();
+                image.crossOrigin = 'anonymous';
+                image.onload = () => {
+                    try {
+                        const canvas = document.createElement('canvas');
+                        canvas.width = TILE_SIZE;
+                        canvas.height = TILE_SIZE;
+                        const context = canvas.getContext('2d');
+                        context.drawImage(image, 0, 0, TILE_SIZE, TILE_SIZE);
+                        resolve(context.getImageData(0, 0, TILE_SIZE, TILE_SIZE));
+                    } catch (error) {
+                        // CORSによりピクセル値を読めない場合
+                        resolve(null);
+                    }
+                };
+                // 海域などタイルが存在しない範囲、または通信エラー
+                image.onerror = () => resolve(null);
+                image.src = url;
+            }).then(imageData => {
+                if (!imageData && this.tileCache.get(url) === request) {
+                    this.tileCache.delete(url);
+                }
+                return imageData;
+            });
+            this.tileCache.set(url, request);
+        }
+        return this.tileCache.get(url);
+    }
+}
@@ -1,4 +1,5 @@
 import { Validators } from './validators.js';
+import { CONFIG } from './constants.js';
 
 /**
  * ファイル操作を管理するクラス
@@ -116,6 +117,15 @@ export class FileHandler {
     downloadJSON(data, filename) {
         const jsonString = JSON.stringify(data, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
+        this.downloadBlob(blob, filename);
+    }
+
+    /**
+     * Blobをファイルとしてダウンロード
+     * @param {Blob} blob - ファイル内容
+     * @param {string} filename - ファイル名
+     */
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
@@ -132,22 +142,29 @@ export class FileHandler {
      * ユーザーが場所を指定してJSONファイルを保存
      * @param {Object} data - JSON data
      * @param {string} defaultFilename - デフォルトファイル名
+     * @param {Object} [fileType] - 保存ダイアログのファイル種別（省略時はJSON）
      * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
      */
-    async saveJSONWithUserChoice(data, defaultFilename) {
+    async saveJSONWithUserChoice(data, defaultFilename, fileType = CONFIG.SAVE_FILE_TYPES.JSON) {
         const jsonString = JSON.stringify(data, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
         
+        return this.saveBlobWithUserChoice(blob, defaultFilename, fileType);
+    }
+
+    /**
+     * ユーザーが場所を指定してファイルを保存
+     * @param {Blob} blob - ファイル内容
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @param {Object} fileType - 保存ダイアログのファイル種別
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveBlobWithUserChoice(blob, defaultFilename, fileType) {
         try {
             if ('showSaveFilePicker' in window) {
                 let savePickerOptions = {
                     suggestedName: defaultFilename,
-                    types: [{
-                        description: 'JSON Files',
-                        accept: {
-                            'application/json': ['.json']
-                        }
-                    }]
+                    types: [fileType]
                 };
                 
                 if (this.currentImageFileHandle) {
@@ -166,7 +183,7 @@ export class FileHandler {
                 
                 return { success: true, filename: fileHandle.name };
             } else {
-                this.downloadJSON(data, defaultFilename);
+                this.downloadBlob(blob, defaultFilename);
                 return { success: true, filename: defaultFilename };
             }
         } catch (error) {
@@ -175,7 +192,7 @@ export class FileHandler {
             }
             
             try {
-                this.downloadJSON(data, defaultFilename);
+                this.downloadBlob(blob, defaultFilename);
                 return { success: true, filename: defaultFilename };
             } catch (downloadError) {
                 return { success: false, error: error.message };
@@ -183,6 +200,101 @@ export class FileHandler {
         }
     }
 
+    /**
+     * 複数のファイルをユーザーが選択したフォルダに保存
+     * フォルダ選択（File System Access API）に未対応の場合はZIPファイルとしてダウンロード
+     * @param {Array<{filename: string, blob: Blob}>} files - 保存するファイル
+     * @param {string} zipFilename - ZIPでダウンロードする場合のファイル名
+     * @returns {Promise<{success: boolean, method?: string, location?: string, filenames?: string[], failed?: Array<{filename: string, error: string}>, error?: string}>} 保存結果（methodは 'directory' または 'zip'）
+     */
+    async saveFilesWithUserChoice(files, zipFilename) {
+        if ('showDirectoryPicker' in window) {
+            let directoryHandle = null;
+            try {
+                const pickerOptions = { mode: 'readwrite' };
+                if (this.currentImageFileHandle) {
+                    pickerOptions.startIn = this.currentImageFileHandle;
+                }
+                directoryHandle = await window.showDirectoryPicker(pickerOptions);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return { success: false, error: 'キャンセル' };
+                }
+                // フォルダを選択できない場合（権限エラーなど）はZIPで保存
+            }
+
+            if (directoryHandle) {
+                return this.writeFilesToDirectory(directoryHandle, files);
+            }
+        }
+
+        return this.downloadFilesAsZip(files, zipFilename);
+    }
+
+    /**
+     * フォルダにファイルを書き込み（同名のファイルは上書き）
+     * @param {FileSystemDirectoryHandle} directoryHandle - 保存先フォルダ
+     * @param {Array<{filename: string, blob: Blob}>} files - 保存するファイル
+     * @returns {Promise<{success: boolean, method: string, location: string, filenames: string[], failed: Array<{filename: string, error: string}>}>} 保存結果
+     */
+    async writeFilesToDirectory(directoryHandle, files) {
+        const filenames = [];
+        const failed = [];
+
+        for (const { filename, blob } of files) {
+            try {
+                const fileHandle = await directoryHandle.getFileHandle(filename, { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+                filenames.push(filename);
+            } catch (error) {
+                failed.push({ filename, error: error.message });
+            }
+        }
+
+        return {
+            success: filenames.length > 0,
+            method: 'directory',
+            location: directoryHandle.name,
+            filenames,
+            failed,
+            error: filenames.length === 0 ? 'ファイルを書き込めませんでした' : undefined
+        };
+    }
+
+    /**
+     * 複数のファイルをZIPにまとめてダウンロード（JSZipを使用）
+     * @param {Array<{filename: string, blob: Blob}>} files - 保存するファイル
+     * @param {string} zipFilename - ZIPファイル名
+     * @returns {Promise<{success: boolean, method?: string, location?: string, filenames?: string[], failed?: Array, error?: string}>} 保存結果
+     */
+    async downloadFilesAsZip(files, zipFilename) {
+        if (typeof JSZip === 'undefined') {
+            return { success: false, error: 'ZIPライブラリが読み込まれていません' };
+        }
+
+        try {
+            const zip = new JSZip();
+            files.forEach(({ filename, blob }) => {
+                zip.file(filename, blob);
+            });
+
+            const zipBlob = await zip.generateAsync({ type: 'blob' });
+            this.downloadBlob(zipBlob, zipFilename);
+
+            return {
+                success: true,
+                method: 'zip',
+                location: zipFilename,
+                filenames: files.map(file => file.filename),
+                failed: []
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * 現在の画像ファイル名を取得
      * @returns {string} ファイル名
@@ -0,0 +1,267 @@
+// 画像座標（ピクセル）と地図座標（緯度経度）の間の変換を扱うモジュール
+// 基準点（origin）を中心とする局所平面（東方向・北方向のメートル）で変換式を保持する
+//   E = a * imageX + b * imageY + c
+//   N = d * imageX + e * imageY + f
+
+const EARTH_RADIUS = 6378137; // ImageOverlayと同じ地球半径（メートル）
+const DEG_TO_RAD = Math.PI / 180;
+
+// 変換の種類と必要な対応点数
+export const TRANSFORM_TYPES = {
+    SIMILARITY: 'similarity', // 回転＋縮尺＋平行移動（4パラメータ）
+    AFFINE: 'affine'          // 回転＋縦横別縮尺＋せん断＋平行移動（6パラメータ）
+};
+
+const MINIMUM_PAIRS = {
+    [TRANSFORM_TYPES.SIMILARITY]: 2,
+    [TRANSFORM_TYPES.AFFINE]: 3
+};
+
+export class GeoTransform {
+    constructor(type, params, origin) {
+        this.type = type;
+        this.params = params; // [a, b, c, d, e, f]
+        this.origin = origin; // { lat, lng }
+    }
+
+    // 緯度経度を基準点からの局所平面座標（メートル）に変換
+    static toLocalMeters(lat, lng, origin) {
+        return {
+            x: (lng - origin.lng) * DEG_TO_RAD * EARTH_RADIUS * Math.cos(origin.lat * DEG_TO_RAD),
+            y: (lat - origin.lat) * DEG_TO_RAD * EARTH_RADIUS
+        };
+    }
+
+    // 局所平面座標（メートル）を緯度経度に変換
+    static fromLocalMeters(x, y, origin) {
+        return {
+            lat: origin.lat + (y / EARTH_RADIUS) / DEG_TO_RAD,
+            lng: origin.lng + (x / (EARTH_RADIUS * Math.cos(origin.lat * DEG_TO_RAD))) / DEG_TO_RAD
+        };
+    }
+
+    // 画像座標を緯度経度に変換
+    imageToLatLng(imageX, imageY) {
+        const [a, b, c, d, e, f] = this.params;
+        const east = a * imageX + b * imageY + c;
+        const north = d * imageX + e * imageY + f;
+        return GeoTransform.fromLocalMeters(east, north, this.origin);
+    }
+
+    // 緯度経度を画像座標に変換（逆変換）
+    latLngToImage(lat, lng) {
+        const [a, b, c, d, e, f] = this.params;
+        const determinant = a * e - b * d;
+        if (!isFinite(determinant) || Math.abs(determinant) < 1e-12) {
+            return null;
+        }
+
+        const local = GeoTransform.toLocalMeters(lat, lng, this.origin);
+        const dx = local.x - c;
+        const dy = local.y - f;
+
+        return {
+            x: (e * dx - b * dy) / determinant,
+            y: (-d * dx + a * dy) / determinant
+        };
+    }
+
+    // 平行移動した変換を作成（画像の中心マーカーをドラッグした場合など）
+    translated(deltaLat, deltaLng) {
+        return new GeoTransform(this.type, [...this.params], {
+            lat: this.origin.lat + deltaLat,
+            lng: this.origin.lng + deltaLng
+        });
+    }
+
+    // 画像のx軸方向の回転角度（度、北を上とした反時計回り）
+    getRotationDegrees() {
+        const [a, , , d] = this.params;
+        return Math.atan2(d, a) / DEG_TO_RAD;
+    }
+
+    // 1ピクセルあたりの平均的な地上距離（メートル）
+    getMetersPerPixel() {
+        const [a, b, , d, e] = this.params;
+        return Math.sqrt(Math.abs(a * e - b * d));
+    }
+
+    // 画像の四隅を含む範囲を取得（[[south, west], [north, east]]）
+    getBoundingBox(imageWidth, imageHeight) {
+        const corners = [
+            this.imageToLatLng(0, 0),
+            this.imageToLatLng(imageWidth, 0),
+            this.imageToLatLng(imageWidth, imageHeight),
+            this.imageToLatLng(0, imageHeight)
+        ];
+        const lats = corners.map(corner => corner.lat);
+        const lngs = corners.map(corner => corner.lng);
+        return [
+            [Math.min(...lats), Math.min(...lngs)],
+            [Math.max(...lats), Math.max(...lngs)]
+        ];
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            params: [...this.params],
+            origin: { lat: this.origin.lat, lng: this.origin.lng }
+        };
+    }
+
+    static fromJSON(json) {
+        if (!json || !Array.isArray(json.params) || json.params.length !== 6 || !json.origin) {
+            return null;
+        }
+        if (!json.params.every(value => isFinite(value)) || !isFinite(json.origin.lat) || !isFinite(json.origin.lng)) {
+            return null;
+        }
+        return new GeoTransform(json.type, [...json.params], { lat: json.origin.lat, lng: json.origin.lng });
+    }
+
+    // 変換に必要な最小対応点数
+    static getMinimumPairs(type) {
+        return MINIMUM_PAIRS[type] || Infinity;
+    }
+
+    // 指定された種類の変換を最小二乗法で求める
+    // pairs: [{ imageX, imageY, lat, lng }]
+    static fit(type, pairs) {
+        if (type === TRANSFORM_TYPES.SIMILARITY) {
+            return GeoTransform.fitSimilarity(pairs);
+        }
+        if (type === TRANSFORM_TYPES.AFFINE) {
+            return GeoTransform.fitAffine(pairs);
+        }
+        return null;
+    }
+
+    // 相似変換（回転＋縮尺＋平行移動）を閉形式の最小二乗法で求める
+    static fitSimilarity(pairs) {
+        if (!pairs || pairs.length < MINIMUM_PAIRS[TRANSFORM_TYPES.SIMILARITY]) {
+            return null;
+        }
+
+        const { origin, points } = GeoTransform.prepareFitPoints(pairs);
+        const count = points.length;
+
+        // 画像のy軸は下向きなので、北向きを正とする座標 v = -imageY で計算する
+        const meanU = points.reduce((sum, p) => sum + p.imageX, 0) / count;
+        const meanV = points.reduce((sum, p) => sum - p.imageY, 0) / count;
+        const meanE = points.reduce((sum, p) => sum + p.east, 0) / count;
+        const meanN = points.reduce((sum, p) => sum + p.north, 0) / count;
+
+        let sumSquares = 0;
+        let sumA = 0;
+        let sumB = 0;
+
+        for (const p of points) {
+            const u = p.imageX - meanU;
+            const v = -p.imageY - meanV;
+            const east = p.east - meanE;
+            const north = p.north - meanN;
+
+            sumSquares += u * u + v * v;
+            sumA += u * east + v * north;
+            sumB += u * north - v * east;
+        }
+
+        if (sumSquares === 0) {
+            return null;
+        }
+
+        // E = p*u - q*v + tE, N = q*u + p*v + tN
+        const p = sumA / sumSquares;
+        const q = sumB / sumSquares;
+        const translateE = meanE - p * meanU + q * meanV;
+        const translateN = meanN - q * meanU - p * meanV;
+
+        // v = -imageY を代入して画像座標系のパラメータに変換
+        const params = [p, q, translateE, q, -p, translateN];
+
+        return GeoTransform.createIfValid(TRANSFORM_TYPES.SIMILARITY, params, origin);
+    }
+
+    // アフィン変換（6パラメータ）を最小二乗法（正規方程式）で求める
+    static fitAffine(pairs) {
+        if (!pairs || pairs.length < MINIMUM_PAIRS[TRANSFORM_TYPES.AFFINE]) {
+            return null;
+        }
+
+        const { origin, points } = GeoTransform.prepareFitPoints(pairs);
+        const count = points.length;
+
+        // 数値安定性のため画像座標を重心基準にする
+        const meanX = points.reduce((sum, p) => sum + p.imageX, 0) / count;
+        const meanY = points.reduce((sum, p) => sum + p.imageY, 0) / count;
+
+        let sxx = 0, sxy = 0, syy = 0;
+        let sxE = 0, syE = 0, sE = 0;
+        let sxN = 0, syN = 0, sN = 0;
+
+        for (const p of points) {
+            const x = p.imageX - meanX;
+            const y = p.imageY - meanY;
+
+            sxx += x * x;
+            sxy += x * y;
+            syy += y * y;
+            sxE += x * p.east;
+            syE += y * p.east;
+            sE += p.east;
+            sxN += x * p.north;
+            syN += y * p.north;
+            sN += p.north;
+        }
+
+        // 重心化により定数項は分離できるため、2x2の連立方程式を解く
+        const determinant = sxx * syy - sxy * sxy;
+        if (!isFinite(determinant) || Math.abs(determinant) < 1e-9) {
+            // 対応点が一直線上に並んでいる
+            return null;
+        }
+
+        const a = (sxE * syy - syE * sxy) / determinant;
+        const b = (syE * sxx - sxE * sxy) / determinant;
+        const d = (sxN * syy - syN * sxy) / determinant;
+        const e = (syN * sxx - sxN * sxy) / determinant;
+
+        const c = sE / count - a * meanX - b * meanY;
+        const f = sN / count - d * meanX - e * meanY;
+
+        return GeoTransform.createIfValid(TRANSFORM_TYPES.AFFINE, [a, b, c, d, e, f], origin);
+    }
+
+    // 対応点を局所平面座標に変換（基準点はGPS座標の重心）
+    static prepareFitPoints(pairs) {
+        const origin = {
+            lat: pairs.reduce((sum, pair) => sum + pair.lat, 0) / pairs.length,
+            lng: pairs.reduce((sum, pair) => sum + pair.lng, 0) / pairs.length
+        };
+
+        const points = pairs.map(pair => {
+            const local = GeoTransform.toLocalMeters(pair.lat, pair.lng, origin);
+            return {
+                imageX: pair.imageX,
+                imageY: pair.imageY,
+                east: local.x,
+                north: local.y
+            };
+        });
+
+        return { origin, points };
+    }
+
+    // パラメータが有効な場合のみ変換を作成
+    static createIfValid(type, params, origin) {
+        if (!params.every(value => isFinite(value))) {
+            return null;
+        }
+        const [a, b, , d, e] = params;
+        if (Math.abs(a * e - b * d) < 1e-12) {
+            return null;
+        }
+        return new GeoTransform(type, params, origin);
+    }
+}
@@ -0,0 +1,231 @@
+// ジオリファレンス結果の残差（対応点ごとの誤差）の計算・表示を専門に扱うモジュール
+import { calculateDistance } from './utils/geo-distance.js';
+
+// 8方位の名称（北から時計回り）
+const COMPASS_DIRECTIONS = ['北', '北東', '東', '南東', '南', '南西', '西', '北西'];
+
+// 採否の選択肢（value は PointOverlay の採否指定に対応）
+const OVERRIDE_OPTIONS = [
+    { value: 'auto', label: '自動' },
+    { value: 'include', label: '採用' },
+    { value: 'exclude', label: '除外' }
+];
+
+// 計算から除外された対応点の状態
+const EXCLUDED_STATUSES = ['rejected', 'excluded'];
+
+export class GeoreferenceReport {
+    constructor(map) {
+        this.map = map;
+        this.residualLayers = [];
+        this.lastReport = null;
+        this.overrideChangeCallback = null;
+    }
+
+    // 採否の変更時に呼ばれるコールバックを設定（引数: ポイントID, 'auto' | 'include' | 'exclude'）
+    setOverrideChangeCallback(callback) {
+        this.overrideChangeCallback = callback;
+    }
+
+    // 対応点ごとの残差を計算
+    // pairs: [{ id, gpsLat, gpsLng, predictedLat, predictedLng, status?, override? }]
+    // RMSE・最大残差は計算に採用した対応点（status が 'used' または未指定）のみで求める
+    calculateResiduals(pairs) {
+        const residuals = pairs.map(pair => {
+            const errorMeters = calculateDistance(pair.gpsLat, pair.gpsLng, pair.predictedLat, pair.predictedLng);
+            const bearing = this.calculateBearing(pair.gpsLat, pair.gpsLng, pair.predictedLat, pair.predictedLng);
+            return {
+                status: 'used',
+                override: 'auto',
+                ...pair,
+                errorMeters,
+                bearing,
+                direction: errorMeters > 0 ? this.bearingToCompass(bearing) : '-'
+            };
+        });
+
+        const usedResiduals = residuals.filter(r => !this.isExcluded(r));
+        const count = usedResiduals.length;
+        const rmse = count > 0
+            ? Math.sqrt(usedResiduals.reduce((sum, r) => sum + r.errorMeters * r.errorMeters, 0) / count)
+            : 0;
+        const maxResidual = usedResiduals.reduce((max, r) => (!max || r.errorMeters > max.errorMeters ? r : max), null);
+
+        return { residuals, rmse, maxResidual, usedCount: count };
+    }
+
+    // 残差一覧をパネルに表示し、残差ベクトルを地図に描画
+    show(report) {
+        this.lastReport = report;
+        this.renderTable(report);
+        this.drawResidualVectors(report);
+    }
+
+    // 残差一覧テーブルを描画
+    renderTable(report) {
+        const container = document.getElementById('residualReportContainer');
+        if (!container) {
+            return;
+        }
+
+        container.innerHTML = '';
+
+        if (report.residuals.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'residual-summary';
+        const excludedCount = report.residuals.length - report.usedCount;
+        summary.textContent = report.maxResidual
+            ? `RMSE: ${report.rmse.toFixed(1)} m ／ 最大: ${report.maxResidual.errorMeters.toFixed(1)} m（${report.maxResidual.id}）`
+            : 'RMSE: -';
+        if (excludedCount > 0) {
+            summary.textContent += ` ／ 除外: ${excludedCount}個`;
+        }
+        container.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'residual-table';
+        table.innerHTML = '<thead><tr><th>ID</th><th>誤差(m)</th><th>方向</th><th>採否</th></tr></thead>';
+
+        const tbody = document.createElement('tbody');
+        const sortedResiduals = [...report.residuals].sort((a, b) => b.errorMeters - a.errorMeters);
+
+        sortedResiduals.forEach(residual => {
+            const row = document.createElement('tr');
+            if (this.isExcluded(residual)) {
+                row.classList.add('residual-rejected');
+                row.title = residual.status === 'excluded' ? '手動で除外' : '外れ値として除外';
+            } else if (this.isLargeResidual(residual, report)) {
+                row.classList.add('residual-large');
+            }
+
+            const cells = [
+                residual.id,
+                residual.errorMeters.toFixed(1),
+                residual.direction === '-' ? '-' : `${residual.direction}（${Math.round(residual.bearing)}°）`
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const overrideCell = document.createElement('td');
+            overrideCell.appendChild(this.createOverrideSelect(residual));
+            row.appendChild(overrideCell);
+
+            // 行クリックで該当ポイントへ移動
+            row.addEventListener('click', () => {
+                this.map.panTo([residual.gpsLat, residual.gpsLng]);
+            });
+
+            tbody.appendChild(row);
+        });
+
+        table.appendChild(tbody);
+        container.appendChild(table);
+        container.style.display = 'block';
+    }
+
+    // 採否の選択欄を作成
+    createOverrideSelect(residual) {
+        const select = document.createElement('select');
+        select.title = '自動: 閾値で判定 ／ 採用: 常に計算に使用 ／ 除外: 計算に使用しない';
+
+        OVERRIDE_OPTIONS.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === residual.override;
+            select.appendChild(option);
+        });
+
+        // 行クリック（地図移動）と区別する
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', () => {
+            if (this.overrideChangeCallback) {
+                this.overrideChangeCallback(residual.id, select.value);
+            }
+        });
+
+        return select;
+    }
+
+    // GPS位置から変換後の画像ポイント位置への残差ベクトルを描画
+    drawResidualVectors(report) {
+        this.clearResidualVectors();
+
+        report.residuals.forEach(residual => {
+            const excluded = this.isExcluded(residual);
+            let color = this.isLargeResidual(residual, report) ? '#dc3545' : '#ff8c00';
+            if (excluded) {
+                color = '#888888';
+            }
+
+            const vector = L.polyline(
+                [[residual.gpsLat, residual.gpsLng], [residual.predictedLat, residual.predictedLng]],
+                { color, weight: 3, opacity: 0.9, dashArray: excluded ? '6, 4' : null, interactive: false }
+            ).addTo(this.map);
+
+            const tip = L.circleMarker([residual.predictedLat, residual.predictedLng], {
+                radius: 3,
+                color,
+                fillColor: color,
+                fillOpacity: 1,
+                weight: 1,
+                interactive: false
+            }).addTo(this.map);
+
+            this.residualLayers.push(vector, tip);
+        });
+    }
+
+    // RMSEの2倍を超える残差を大きい残差とみなす
+    isLargeResidual(residual, report) {
+        return !this.isExcluded(residual) && report.usedCount > 2 && residual.errorMeters > report.rmse * 2;
+    }
+
+    // 計算から除外された対応点かどうか
+    isExcluded(residual) {
+        return EXCLUDED_STATUSES.includes(residual.status);
+    }
+
+    // 残差ベクトルをクリア
+    clearResidualVectors() {
+        this.residualLayers.forEach(layer => {
+            if (this.map.hasLayer(layer)) {
+                this.map.removeLayer(layer);
+            }
+        });
+        this.residualLayers = [];
+    }
+
+    // 残差表示をすべてクリア
+    clear() {
+        this.lastReport = null;
+        this.clearResidualVectors();
+        const container = document.getElementById('residualReportContainer');
+        if (container) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+        }
+    }
+
+    // 方位角を計算（北を0°とした時計回り、度）
+    calculateBearing(lat1, lng1, lat2, lng2) {
+        const φ1 = lat1 * Math.PI / 180;
+        const φ2 = lat2 * Math.PI / 180;
+        const Δλ = (lng2 - lng1) * Math.PI / 180;
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    // 方位角を8方位の名称に変換
+    bearingToCompass(bearing) {
+        return COMPASS_DIRECTIONS[Math.round(bearing / 45) % 8];
+    }
+}
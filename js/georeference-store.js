@@ -0,0 +1,262 @@
+// ジオリファレンス結果（画像の位置合わせ）の保存・読み込みを扱うモジュール
+// 画像ファイル名をキーとするサイドカーJSONと、ESRIワールドファイル（.pgw）を出力する
+import { FileHandler } from './file-handler.js';
+import { GeoTransform } from './geo-transform.js';
+import { GEOREFERENCE_DISPLAY_MODES } from './image-overlay.js';
+import { CONFIG } from './constants.js';
+import { errorHandler } from './utils/error-handler.js';
+
+const SIDECAR_FORMAT = 'TrailMapperGeoreference';
+const SIDECAR_VERSION = 1;
+
+const EARTH_RADIUS = 6378137;
+const DEG_TO_RAD = Math.PI / 180;
+
+// ワールドファイルの座標系（緯度経度 → 出力座標）
+const WORLD_FILE_PROJECTIONS = {
+    'EPSG:4326': (lat, lng) => ({ x: lng, y: lat }),
+    'EPSG:3857': (lat, lng) => ({
+        x: EARTH_RADIUS * lng * DEG_TO_RAD,
+        y: EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * DEG_TO_RAD / 2))
+    })
+};
+
+export class GeoreferenceStore {
+    constructor(imageOverlay) {
+        this.imageOverlay = imageOverlay;
+        this.fileHandler = new FileHandler();
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const saveGeorefBtn = document.getElementById('saveGeorefBtn');
+        const loadGeorefBtn = document.getElementById('loadGeorefBtn');
+        const georefJsonInput = document.getElementById('georefJsonInput');
+        const saveWorldFileBtn = document.getElementById('saveWorldFileBtn');
+
+        if (saveGeorefBtn) {
+            saveGeorefBtn.addEventListener('click', () => this.saveSidecar());
+        }
+
+        if (loadGeorefBtn && georefJsonInput) {
+            loadGeorefBtn.addEventListener('click', () => {
+                georefJsonInput.click();
+            });
+
+            georefJsonInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadSidecarFile(file);
+                }
+                // 同じファイルを再度選択できるようにリセット
+                e.target.value = '';
+            });
+        }
+
+        if (saveWorldFileBtn) {
+            saveWorldFileBtn.addEventListener('click', () => this.saveWorldFile());
+        }
+    }
+
+    // 現在の位置合わせ状態からサイドカーJSONのデータを作成（画像未読み込み時はnull）
+    createSidecarData() {
+        const state = this.imageOverlay.getGeoreferenceState();
+        if (!state) {
+            return null;
+        }
+
+        const { width, height } = this.imageOverlay.getImageDimensions();
+        return {
+            format: SIDECAR_FORMAT,
+            version: SIDECAR_VERSION,
+            imageReference: this.imageOverlay.getCurrentImageInfo().fileName,
+            imageWidth: width,
+            imageHeight: height,
+            mode: state.mode,
+            transform: state.transform.toJSON(),
+            rotationDegrees: state.transform.getRotationDegrees(),
+            metersPerPixel: state.transform.getMetersPerPixel(),
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    // サイドカーJSONのデータを位置合わせ状態に変換（不正な場合はnull）
+    parseSidecarData(data) {
+        if (!data || data.format !== SIDECAR_FORMAT) {
+            return null;
+        }
+
+        const transform = GeoTransform.fromJSON(data.transform);
+        if (!transform) {
+            return null;
+        }
+
+        const mode = Object.values(GEOREFERENCE_DISPLAY_MODES).includes(data.mode)
+            ? data.mode
+            : GEOREFERENCE_DISPLAY_MODES.TRANSFORM;
+        return { mode, transform };
+    }
+
+    // サイドカーJSONを保存（次回の画像読み込み時に使えるようブラウザにも記録）
+    async saveSidecar() {
+        const data = this.createSidecarData();
+        if (!data) {
+            errorHandler.showError('保存エラー', '画像が読み込まれていません');
+            return;
+        }
+
+        this.storeInBrowser(data);
+
+        const result = await this.fileHandler.saveJSONWithUserChoice(data, `${this.getImageBaseName()}.georef.json`);
+        if (result.success) {
+            errorHandler.showSuccess('保存完了', `位置合わせ結果を保存しました。\nファイル名: ${result.filename}`);
+        } else if (result.error !== 'キャンセル') {
+            errorHandler.showError('保存エラー', result.error);
+        }
+    }
+
+    // サイドカーJSONファイルを読み込んで適用
+    async loadSidecarFile(file) {
+        try {
+            const data = await this.fileHandler.loadJsonFile(file);
+            const state = this.parseSidecarData(data);
+            if (!state) {
+                throw new Error('位置合わせ結果のファイルではありません');
+            }
+
+            const imageInfo = this.imageOverlay.getCurrentImageInfo();
+            if (!imageInfo.isLoaded) {
+                throw new Error('先に画像を読み込んでください');
+            }
+
+            if (data.imageReference && data.imageReference !== imageInfo.fileName) {
+                const confirmed = await errorHandler.showConfirm(
+                    '画像参照の不一致',
+                    `ファイル内の画像参照: "${data.imageReference}"\n現在読み込まれている画像: "${imageInfo.fileName}"\n\nこのまま適用しますか？`
+                );
+                if (!confirmed) {
+                    return;
+                }
+            }
+
+            this.imageOverlay.applyGeoreferenceState(state);
+            this.imageOverlay.recordHistory('位置合わせ読込');
+            this.storeInBrowser({ ...data, imageReference: imageInfo.fileName });
+        } catch (error) {
+            errorHandler.showError('読み込みエラー', error.message);
+        }
+    }
+
+    // 画像読み込み後、保存済みの位置合わせ結果があれば適用を提案
+    async offerStoredGeoreference() {
+        const fileName = this.imageOverlay.getCurrentImageInfo().fileName;
+        const data = this.loadFromBrowser(fileName);
+        const state = this.parseSidecarData(data);
+        if (!state) {
+            return false;
+        }
+
+        const { width, height } = this.imageOverlay.getImageDimensions();
+        if (data.imageWidth !== width || data.imageHeight !== height) {
+            // 同名でも画像サイズが異なる場合は別の画像とみなす
+            return false;
+        }
+
+        const savedAt = data.savedAt ? new Date(data.savedAt).toLocaleString() : '不明';
+        const confirmed = await errorHandler.showConfirm(
+            '位置合わせ結果の適用',
+            `"${fileName}" の保存済みの位置合わせ結果があります（保存日時: ${savedAt}）。\n適用しますか？`,
+            { okLabel: '適用', cancelLabel: '適用しない' }
+        );
+        if (!confirmed) {
+            return false;
+        }
+
+        const applied = this.imageOverlay.applyGeoreferenceState(state);
+        this.imageOverlay.recordHistory('保存済みの位置合わせ適用');
+        return applied;
+    }
+
+    // ワールドファイル（.pgw）を保存
+    async saveWorldFile() {
+        const crsSelect = document.getElementById('worldFileCrsSelect');
+        const crs = crsSelect && WORLD_FILE_PROJECTIONS[crsSelect.value] ? crsSelect.value : 'EPSG:4326';
+
+        const content = this.createWorldFileContent(crs);
+        if (!content) {
+            errorHandler.showError('保存エラー', '画像が読み込まれていません');
+            return;
+        }
+
+        const blob = new Blob([content], { type: 'text/plain' });
+        const result = await this.fileHandler.saveBlobWithUserChoice(
+            blob,
+            `${this.getImageBaseName()}.pgw`,
+            CONFIG.SAVE_FILE_TYPES.WORLD_FILE
+        );
+        if (result.success) {
+            errorHandler.showSuccess('保存完了', `ワールドファイルを保存しました（座標系: ${crs}）。\nファイル名: ${result.filename}`);
+        } else if (result.error !== 'キャンセル') {
+            errorHandler.showError('保存エラー', result.error);
+        }
+    }
+
+    // ワールドファイルの6行（A, D, B, E, C, F）を作成
+    // C, F は左上ピクセルの中心の座標。EPSG:3857では画像範囲で線形近似する
+    createWorldFileContent(crs) {
+        const state = this.imageOverlay.getGeoreferenceState();
+        const { width, height } = this.imageOverlay.getImageDimensions();
+        if (!state || !width || !height) {
+            return null;
+        }
+
+        const project = WORLD_FILE_PROJECTIONS[crs];
+        const toProjected = (imageX, imageY) => {
+            const latLng = state.transform.imageToLatLng(imageX, imageY);
+            return project(latLng.lat, latLng.lng);
+        };
+
+        const topLeft = toProjected(0, 0);
+        const topRight = toProjected(width, 0);
+        const bottomLeft = toProjected(0, height);
+
+        const a = (topRight.x - topLeft.x) / width;
+        const d = (topRight.y - topLeft.y) / width;
+        const b = (bottomLeft.x - topLeft.x) / height;
+        const e = (bottomLeft.y - topLeft.y) / height;
+        const c = topLeft.x + (a + b) / 2;
+        const f = topLeft.y + (d + e) / 2;
+
+        return [a, d, b, e, c, f].map(value => value.toPrecision(15)).join('\n') + '\n';
+    }
+
+    // ブラウザ（localStorage）に位置合わせ結果を記録
+    storeInBrowser(data) {
+        if (!data.imageReference) {
+            return;
+        }
+        try {
+            localStorage.setItem(CONFIG.GEOREFERENCE_STORAGE_KEY_PREFIX + data.imageReference, JSON.stringify(data));
+        } catch (error) {
+            // 保存容量不足などの場合は記録しない
+        }
+    }
+
+    loadFromBrowser(fileName) {
+        if (!fileName) {
+            return null;
+        }
+        try {
+            const json = localStorage.getItem(CONFIG.GEOREFERENCE_STORAGE_KEY_PREFIX + fileName);
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 画像ファイル名から拡張子を除いた名前を取得
+    getImageBaseName() {
+        const fileName = this.imageOverlay.getCurrentImageInfo().fileName || 'image';
+        return fileName.replace(/\.[^/.]+$/, '');
+    }
+}
@@ -1,9 +1,17 @@
 // GPS データ処理機能を管理するモジュール
+import { FileHandler } from './file-handler.js';
+import { CONFIG } from './constants.js';
+
+// Excel入出力で使用する列名（processGPSDataと同じ見出し）
+const GPS_EXCEL_HEADERS = ['緊急ポイント', '緯度', '経度', '位置', '標高'];
+
 export class GPSData {
     constructor(map, pointInfoManager = null) {
         this.map = map;
         this.pointInfoManager = pointInfoManager;
         this.gpsMarkers = []; // GPSマーカーとデータを保持
+        this.fileHandler = new FileHandler();
+        this.sourceFileName = ''; // 読み込んだExcelファイル名（拡張子なし）
     }
 
     // GPS値（Excel）読み込み処理
@@ -20,6 +28,7 @@ export class GPSData {
                     const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
                     
                     const processedData = this.processGPSData(jsonData);
+                    this.sourceFileName = file.name.replace(/\.xlsx$/i, '');
                     this.addGPSMarkersToMap(processedData);
                     this.updatePointCountDisplay(processedData.length);
                     
@@ -167,51 +176,8 @@ export class GPSData {
         // 既存のGPSマーカーをクリア
         this.clearGPSMarkers();
         
-        gpsData.forEach((point, index) => {
-            // 逆三角形アイコンを作成（GPS座標の正確な位置に合わせる）
-            const triangleIcon = L.divIcon({
-                className: 'gps-triangle-marker',
-                html: `<div style="width: 0; height: 0; border-left: 6.5px solid transparent; border-right: 6.5px solid transparent; border-top: 14px solid ${markerColor}; position: relative;"></div>`,
-                iconSize: [13, 14],
-                iconAnchor: [6.5, 14] // 下の頂点（三角形の底辺中央）をGPS座標に正確に合わせる
-            });
-
-            const marker = L.marker([point.lat, point.lng], {
-                icon: triangleIcon
-            }).addTo(this.map);
-
-            // マーカーとデータを保存
-            this.gpsMarkers.push({
-                marker: marker,
-                data: point
-            });
-            
-            // ポップアップ内容を作成（X-nn形式に最適化された最小限サイズ）
-            let popupContent = `<div style="padding:1px 1px;text-align:center;min-width:18px;line-height:1;">${point.pointId}</div>`;
-            
-            marker.bindPopup(popupContent, {
-                offset: [0, -12], // アイコンの上端より1px(-16 → -12)上に表示
-                closeButton: false,
-                autoPan: false,
-                className: 'gps-popup-minimal'
-            });
-            
-            // マーカーにクリックイベントを追加
-            marker.on('click', (e) => {
-                
-                // PointInfoManagerと連携してポイント情報を表示
-                if (this.pointInfoManager) {
-                    this.pointInfoManager.onMapClick(point.lat, point.lng, {
-                        id: point.id,
-                        name: point.pointId,
-                        elevation: point.altitude,
-                        location: point.location
-                    });
-                }
-                
-                // イベントの伝播を停止（地図のクリックイベントと重複を防ぐ）
-                L.DomEvent.stopPropagation(e);
-            });
+        gpsData.forEach(point => {
+            this.createGPSMarker(point, markerColor);
         });
         
         // 自動ズームアウト機能を無効化
@@ -222,6 +188,63 @@ export class GPSData {
         // }
     }
 
+    // GPSポイントのマーカーを作成して一覧に追加
+    createGPSMarker(point, markerColor) {
+        // 逆三角形アイコンを作成（GPS座標の正確な位置に合わせる）
+        const triangleIcon = L.divIcon({
+            className: 'gps-triangle-marker',
+            html: `<div style="width: 0; height: 0; border-left: 6.5px solid transparent; border-right: 6.5px solid transparent; border-top: 14px solid ${markerColor}; position: relative;"></div>`,
+            iconSize: [13, 14],
+            iconAnchor: [6.5, 14] // 下の頂点（三角形の底辺中央）をGPS座標に正確に合わせる
+        });
+
+        const marker = L.marker([point.lat, point.lng], {
+            icon: triangleIcon
+        }).addTo(this.map);
+
+        // マーカーとデータを保存
+        this.gpsMarkers.push({
+            marker: marker,
+            data: point
+        });
+        
+        // ポップアップ内容を作成（X-nn形式に最適化された最小限サイズ）
+        let popupContent = `<div style="padding:1px 1px;text-align:center;min-width:18px;line-height:1;">${point.pointId}</div>`;
+        
+        marker.bindPopup(popupContent, {
+            offset: [0, -12], // アイコンの上端より1px(-16 → -12)上に表示
+            closeButton: false,
+            autoPan: false,
+            className: 'gps-popup-minimal'
+        });
+        
+        // マーカーにクリックイベントを追加
+        marker.on('click', (e) => {
+            
+            // PointInfoManagerと連携してポイント情報を表示
+            if (this.pointInfoManager) {
+                this.pointInfoManager.onMapClick(point.lat, point.lng, {
+                    id: point.id,
+                    name: point.pointId,
+                    elevation: point.altitude,
+                    location: point.location
+                });
+            }
+            
+            // イベントの伝播を停止（地図のクリックイベントと重複を防ぐ）
+            L.DomEvent.stopPropagation(e);
+        });
+
+        return marker;
+    }
+
+    // GPSポイントを1件追加（既存のポイントは残す。ルートの分割で作成した分岐点など）
+    addPoint(pointData, markerColor = '#32cd32') {
+        const marker = this.createGPSMarker(pointData, markerColor);
+        this.updatePointCountDisplay(this.gpsMarkers.length);
+        return marker;
+    }
+
     // GPSマーカーをクリア
     clearGPSMarkers() {
         this.gpsMarkers.forEach(item => {
@@ -241,6 +264,118 @@ export class GPSData {
         }));
     }
 
+    // 現在のGPSポイントと読み込み元ファイル名を取得（プロジェクト保存用）
+    getPointsState() {
+        return {
+            sourceFileName: this.sourceFileName,
+            points: this.gpsMarkers.map(item => ({
+                pointId: item.data.pointId || '',
+                lat: item.data.lat,
+                lng: item.data.lng,
+                location: item.data.location || '',
+                altitude: this.getPointAltitude(item.data)
+            }))
+        };
+    }
+
+    // GPSポイントを復元（現在のポイントはすべて破棄）
+    restorePointsState(state) {
+        const points = state && Array.isArray(state.points) ? state.points : [];
+        const processedData = points
+            .filter(point => typeof point.lat === 'number' && typeof point.lng === 'number')
+            .map((point, index) => ({
+                id: point.pointId || `ポイント${index + 1}`,
+                lat: point.lat,
+                lng: point.lng,
+                altitude: typeof point.altitude === 'number' ? point.altitude : null,
+                location: point.location || '',
+                pointId: point.pointId || ''
+            }));
+
+        this.sourceFileName = state && state.sourceFileName ? state.sourceFileName : '';
+        this.addGPSMarkersToMap(processedData);
+        this.updatePointCountDisplay(processedData.length);
+        return processedData;
+    }
+
+    // 現在のGPSポイント（エディタで追加・移動したものを含む）をExcel形式で出力
+    async exportToExcel() {
+        if (this.gpsMarkers.length === 0) {
+            throw new Error('出力するGPSポイントがありません');
+        }
+
+        const worksheet = XLSX.utils.aoa_to_sheet(this.createExportRows());
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'GPS');
+
+        const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        const blob = new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+
+        return this.fileHandler.saveBlobWithUserChoice(blob, `${this.getExportBaseName()}.xlsx`, CONFIG.SAVE_FILE_TYPES.EXCEL);
+    }
+
+    // 現在のGPSポイントをGeoJSON（PointのFeatureCollection）形式で出力
+    async exportToGeoJSON() {
+        if (this.gpsMarkers.length === 0) {
+            throw new Error('出力するGPSポイントがありません');
+        }
+
+        const features = this.gpsMarkers.map(item => {
+            const point = item.data;
+            return {
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [point.lng, point.lat]
+                },
+                properties: {
+                    id: point.pointId || '',
+                    location: point.location || '',
+                    altitude: this.getPointAltitude(point)
+                }
+            };
+        });
+
+        const geoJsonData = { type: 'FeatureCollection', features };
+
+        return this.fileHandler.saveJSONWithUserChoice(geoJsonData, `${this.getExportBaseName()}.geojson`, CONFIG.SAVE_FILE_TYPES.GEOJSON);
+    }
+
+    // Excel出力用の行データ（ヘッダー行＋データ行）を作成
+    createExportRows() {
+        const rows = [GPS_EXCEL_HEADERS];
+
+        this.gpsMarkers.forEach(item => {
+            const point = item.data;
+            const altitude = this.getPointAltitude(point);
+            rows.push([
+                point.pointId || '',
+                point.lat,
+                point.lng,
+                point.location || '',
+                altitude !== null ? altitude : ''
+            ]);
+        });
+
+        return rows;
+    }
+
+    // 標高を取得（Excel読み込み時はaltitude、エディタで追加したポイントはelevation）
+    getPointAltitude(point) {
+        if (typeof point.altitude === 'number') {
+            return point.altitude;
+        }
+        if (typeof point.elevation === 'number') {
+            return point.elevation;
+        }
+        return null;
+    }
+
+    // 出力ファイル名のベース部分を取得
+    getExportBaseName() {
+        return this.sourceFileName ? `${this.sourceFileName}_edited` : 'gps_points';
+    }
+
     updatePointCountDisplay(count) {
         const pointCountField = document.getElementById('pointCountField');
         if (pointCountField) {
@@ -0,0 +1,153 @@
+// ルートの距離・標高差から歩行時間（往路・復路）を推定するモジュール
+// 推定モデル（ネイスミスの法則、トブラーのハイキング関数、コースタイム式）とそのパラメータは設定で変更できる
+import { CONFIG } from './constants.js';
+
+export const HIKING_TIME_MODELS = {
+    NAISMITH: 'naismith',
+    TOBLER: 'tobler',
+    COURSE_TIME: 'courseTime'
+};
+
+// 各モデルの表示名とパラメータ定義（key, label, unit, default）
+export const HIKING_TIME_MODEL_DEFINITIONS = {
+    [HIKING_TIME_MODELS.NAISMITH]: {
+        label: 'ネイスミスの法則',
+        parameters: [
+            { key: 'speedKmh', label: '水平速度', unit: 'km/h', default: 5 },
+            { key: 'ascentMetersPerHour', label: '登り（1時間あたり）', unit: 'm', default: 600 }
+        ]
+    },
+    [HIKING_TIME_MODELS.TOBLER]: {
+        label: 'トブラーのハイキング関数',
+        parameters: [
+            { key: 'maxSpeedKmh', label: '最高速度', unit: 'km/h', default: 6 },
+            { key: 'paceFactor', label: '速度係数', unit: '倍', default: 1 }
+        ]
+    },
+    [HIKING_TIME_MODELS.COURSE_TIME]: {
+        label: 'コースタイム式（山と高原地図形式）',
+        parameters: [
+            { key: 'hoursPerKm', label: '水平距離1kmあたり', unit: '時間', default: 0.25 },
+            { key: 'ascentHoursPer100m', label: '登り100mあたり', unit: '時間', default: 0.33 },
+            { key: 'descentHoursPer100m', label: '下り100mあたり', unit: '時間', default: 0.2 }
+        ]
+    }
+};
+
+export class HikingTimeEstimator {
+    constructor(settings = HikingTimeEstimator.loadSettings()) {
+        this.settings = settings;
+    }
+
+    // 既定の設定（コースタイム式）
+    static getDefaultSettings() {
+        const parameters = {};
+        Object.entries(HIKING_TIME_MODEL_DEFINITIONS).forEach(([model, definition]) => {
+            parameters[model] = {};
+            definition.parameters.forEach(parameter => {
+                parameters[model][parameter.key] = parameter.default;
+            });
+        });
+        return { model: HIKING_TIME_MODELS.COURSE_TIME, parameters };
+    }
+
+    static loadSettings() {
+        const defaults = HikingTimeEstimator.getDefaultSettings();
+        try {
+            const json = localStorage.getItem(CONFIG.HIKING_TIME_SETTINGS_STORAGE_KEY);
+            const stored = json ? JSON.parse(json) : {};
+            const model = HIKING_TIME_MODEL_DEFINITIONS[stored.model] ? stored.model : defaults.model;
+
+            // 保存されていないパラメータは既定値を使う
+            Object.keys(defaults.parameters).forEach(key => {
+                defaults.parameters[key] = { ...defaults.parameters[key], ...(stored.parameters && stored.parameters[key]) };
+            });
+            return { model, parameters: defaults.parameters };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    setSettings(settings) {
+        this.settings = settings;
+        try {
+            localStorage.setItem(CONFIG.HIKING_TIME_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            // 保存できない場合は今回のみ有効
+        }
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    // 往路（開始→終了）と復路（終了→開始）の歩行時間を推定（分）
+    // samples: 経路に沿った [{ distance, elevation }]、stats: { length, ascent, descent }
+    estimate(samples, stats) {
+        const { model } = this.settings;
+        const parameters = this.settings.parameters[model];
+        const reversedSamples = [...samples].reverse().map(sample => ({
+            ...sample,
+            distance: stats.length - sample.distance
+        }));
+
+        const estimateOneWay = (oneWaySamples, ascent, descent) => {
+            switch (model) {
+                case HIKING_TIME_MODELS.NAISMITH:
+                    return this.estimateNaismith(stats.length, ascent, parameters);
+                case HIKING_TIME_MODELS.TOBLER:
+                    return this.estimateTobler(oneWaySamples, parameters);
+                default:
+                    return this.estimateCourseTime(stats.length, ascent, descent, parameters);
+            }
+        };
+
+        return {
+            model,
+            forwardMinutes: Math.round(estimateOneWay(samples, stats.ascent, stats.descent)),
+            reverseMinutes: Math.round(estimateOneWay(reversedSamples, stats.descent, stats.ascent))
+        };
+    }
+
+    // ネイスミスの法則: 水平距離を一定速度で歩き、登り一定標高ごとに時間を加算
+    estimateNaismith(length, ascent, { speedKmh, ascentMetersPerHour }) {
+        const hours = length / 1000 / speedKmh + ascent / ascentMetersPerHour;
+        return hours * 60;
+    }
+
+    // トブラーのハイキング関数: 区間ごとの勾配から速度を求めて積算（速度 = 最高速度 × exp(-3.5 × |勾配 + 0.05|)）
+    estimateTobler(samples, { maxSpeedKmh, paceFactor }) {
+        const validSamples = samples.filter(sample => typeof sample.elevation === 'number');
+        let hours = 0;
+
+        for (let i = 1; i < validSamples.length; i++) {
+            const horizontal = Math.abs(validSamples[i].distance - validSamples[i - 1].distance);
+            if (horizontal === 0) continue;
+
+            const slope = (validSamples[i].elevation - validSamples[i - 1].elevation) / horizontal;
+            const speedKmh = maxSpeedKmh * paceFactor * Math.exp(-3.5 * Math.abs(slope + 0.05));
+            hours += horizontal / 1000 / speedKmh;
+        }
+
+        // 標高データがない場合は平坦地として計算
+        if (validSamples.length < 2) {
+            const length = samples.length > 0 ? Math.abs(samples[samples.length - 1].distance - samples[0].distance) : 0;
+            hours = length / 1000 / (maxSpeedKmh * paceFactor * Math.exp(-3.5 * 0.05));
+        }
+
+        return hours * 60;
+    }
+
+    // コースタイム式: 時間 = a × 水平距離(km) + b × 登り(100m) + c × 下り(100m)
+    estimateCourseTime(length, ascent, descent, { hoursPerKm, ascentHoursPer100m, descentHoursPer100m }) {
+        const hours = hoursPerKm * length / 1000 + ascentHoursPer100m * ascent / 100 + descentHoursPer100m * descent / 100;
+        return hours * 60;
+    }
+
+    // 分を「○時間○○分」形式に変換
+    static formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return hours > 0 ? `${hours}時間${rest.toString().padStart(2, '0')}分` : `${rest}分`;
+    }
+}
@@ -0,0 +1,270 @@
+// 編集操作の履歴（元に戻す／やり直し）を管理するモジュール
+// 各モジュールは SnapshotHistory で編集前後の状態を記録し、HistoryManager が共通の履歴として扱う
+
+const MAX_HISTORY_ENTRIES = 100;
+
+export class HistoryManager {
+    constructor(maxEntries = MAX_HISTORY_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.undoStack = []; // [{ label, undo, redo, trackers, timestamp }]
+        this.redoStack = [];
+        this.trackers = [];
+        this.isApplying = false;
+        this.groupEntries = null; // recordGroup の実行中に記録された操作
+        this.setupEventHandlers();
+        this.setupKeyboardShortcuts();
+        this.render();
+    }
+
+    setupEventHandlers() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+    }
+
+    // Ctrl+Z で元に戻す、Ctrl+Y（Ctrl+Shift+Z）でやり直し
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || this.isTextInput(e.target)) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    // 入力欄ではブラウザ標準の元に戻す操作を優先する
+    isTextInput(element) {
+        if (!element) return false;
+        const tagName = element.tagName;
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || element.isContentEditable;
+    }
+
+    // 状態を記録するトラッカーを登録
+    register(tracker) {
+        if (!this.trackers.includes(tracker)) {
+            this.trackers.push(tracker);
+        }
+    }
+
+    // 操作を履歴に追加（trackers: 操作を記録したトラッカー）
+    record({ label, undo, redo, trackers = [] }) {
+        if (this.isApplying) {
+            return;
+        }
+
+        if (this.groupEntries) {
+            this.groupEntries.push({ undo, redo, trackers });
+            return;
+        }
+
+        this.undoStack.push({ label, undo, redo, trackers, timestamp: new Date() });
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.render();
+    }
+
+    // fn の実行中に記録された操作（複数のモジュールにまたがる場合も）を1つの操作として履歴に追加
+    recordGroup(label, fn) {
+        const outerEntries = this.groupEntries;
+        this.groupEntries = [];
+        let entries;
+        try {
+            fn();
+        } finally {
+            entries = this.groupEntries;
+            this.groupEntries = outerEntries;
+        }
+
+        if (entries.length === 0) {
+            return;
+        }
+
+        this.record({
+            label,
+            undo: () => [...entries].reverse().forEach(entry => entry.undo()),
+            redo: () => entries.forEach(entry => entry.redo()),
+            trackers: entries.flatMap(entry => entry.trackers)
+        });
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+
+        this.applyEntry(entry.undo);
+        this.redoStack.push(entry);
+        this.render();
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+
+        this.applyEntry(entry.redo);
+        this.undoStack.push(entry);
+        this.render();
+    }
+
+    // 履歴の指定位置（適用済みの操作数）まで戻す・進める
+    jumpTo(position) {
+        while (this.undoStack.length > position && this.undoStack.length > 0) {
+            this.undo();
+        }
+        while (this.undoStack.length < position && this.redoStack.length > 0) {
+            this.redo();
+        }
+    }
+
+    applyEntry(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // 履歴を破棄し、各トラッカーの基準状態を現在の状態に合わせる（画像・プロジェクトの読み込み時など）
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.trackers.forEach(tracker => tracker.resetBaseline());
+        this.render();
+    }
+
+    // 指定したトラッカーが記録した操作だけを履歴から取り除く（他のモジュールの操作は残す）
+    discardEntries(tracker) {
+        const isOtherEntry = entry => !entry.trackers.includes(tracker);
+        this.undoStack = this.undoStack.filter(isOtherEntry);
+        this.redoStack = this.redoStack.filter(isOtherEntry);
+        this.render();
+    }
+
+    // 履歴一覧とボタンの状態を更新
+    render() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = !this.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.canRedo();
+
+        const historyList = document.getElementById('historyList');
+        if (!historyList) return;
+
+        historyList.innerHTML = '';
+
+        // 初期状態 → 適用済みの操作 → 取り消した操作（やり直し可能）の順に表示
+        const items = [
+            { label: '初期状態', position: 0, undone: false },
+            ...this.undoStack.map((entry, index) => ({ ...entry, position: index + 1, undone: false })),
+            ...[...this.redoStack].reverse().map((entry, index) => ({
+                ...entry,
+                position: this.undoStack.length + index + 1,
+                undone: true
+            }))
+        ];
+
+        items.forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.textContent = item.timestamp
+                ? `${item.label}（${item.timestamp.toLocaleTimeString()}）`
+                : item.label;
+
+            if (item.position === this.undoStack.length) {
+                listItem.classList.add('current');
+            }
+            if (item.undone) {
+                listItem.classList.add('undone');
+            }
+
+            listItem.title = 'クリックでこの時点の状態に戻す';
+            listItem.addEventListener('click', () => this.jumpTo(item.position));
+            historyList.appendChild(listItem);
+        });
+
+        historyList.scrollTop = historyList.scrollHeight;
+    }
+}
+
+// モジュールの状態のスナップショットで編集前後を記録するトラッカー
+// capture: 現在の状態（JSONに変換可能な値）を返す関数
+// restore: capture で得た状態を適用する関数
+export class SnapshotHistory {
+    constructor(capture, restore) {
+        this.capture = capture;
+        this.restore = restore;
+        this.historyManager = null;
+        this.baseline = null;
+    }
+
+    setHistoryManager(historyManager) {
+        this.historyManager = historyManager;
+        if (historyManager) {
+            historyManager.register(this);
+        }
+        this.resetBaseline();
+    }
+
+    // 現在の状態を基準（直前の状態）とする
+    resetBaseline() {
+        this.baseline = this.serialize();
+    }
+
+    serialize() {
+        return JSON.stringify(this.capture());
+    }
+
+    // 基準状態から変化があれば操作として記録
+    commit(label) {
+        const before = this.baseline;
+        const after = this.serialize();
+        this.baseline = after;
+
+        if (!this.historyManager || before === null || before === after) {
+            return;
+        }
+
+        this.historyManager.record({
+            label,
+            undo: () => this.apply(before),
+            redo: () => this.apply(after),
+            trackers: [this]
+        });
+    }
+
+    // このトラッカーの操作を履歴から取り除き、現在の状態を基準とする
+    discardHistory() {
+        if (this.historyManager) {
+            this.historyManager.discardEntries(this);
+        }
+        this.resetBaseline();
+    }
+
+    apply(serializedState) {
+        this.restore(JSON.parse(serializedState));
+        this.resetBaseline();
+    }
+}
@@ -1,5 +1,14 @@
 // 画像オーバーレイ機能を管理するモジュール
 import { DEFAULTS } from './constants.js';
+import { transformableImageOverlay } from './transformable-image-overlay.js';
+import { GeoTransform, TRANSFORM_TYPES } from './geo-transform.js';
+import { SnapshotHistory } from './history-manager.js';
+
+// ジオリファレンス状態の表示方式
+export const GEOREFERENCE_DISPLAY_MODES = {
+    BOUNDS: 'bounds',      // 中心＋縮尺による矩形表示（四隅リサイズ可能）
+    TRANSFORM: 'transform' // 回転・せん断を含む変換による表示
+};
 
 export class ImageOverlay {
     constructor(mapCore) {
@@ -17,6 +26,12 @@ export class ImageOverlay {
         this.moveStartPoint = null;
         this.isCenteringMode = false;
         this.imageUpdateCallbacks = [];
+        this.imageTransform = null; // ジオリファレンスで求めた変換（GeoTransform）、未設定時は中心＋縮尺で表示
+        this.historyManager = null;
+        this.history = new SnapshotHistory(
+            () => this.getGeoreferenceSnapshot(),
+            (snapshot) => this.restoreGeoreferenceSnapshot(snapshot)
+        );
         
         // 内部scale管理（初期値はconstantsから取得）
         this.currentScale = this.getDefaultScale();
@@ -138,6 +153,7 @@ export class ImageOverlay {
                 this.map.getContainer().style.cursor = '';
                 this.map.off('mousemove', moveHandler);
                 this.map.off('mouseup', stopHandler);
+                this.recordHistory('画像移動');
             };
             
             this.map.on('mousemove', moveHandler);
@@ -150,6 +166,16 @@ export class ImageOverlay {
     moveImageToPosition(newPosition) {
         if (!this.imageOverlay) return;
         
+        // 変換が設定されている場合は変換自体を平行移動する
+        if (this.imageTransform) {
+            const currentCenter = this.centerMarker.getLatLng();
+            const newLatLng = L.latLng(newPosition);
+            this.imageTransform = this.imageTransform.translated(
+                newLatLng.lat - currentCenter.lat,
+                newLatLng.lng - currentCenter.lng
+            );
+        }
+        
         this.centerMarker.setLatLng(newPosition);
         this.updateImageDisplay();
     }
@@ -222,6 +248,7 @@ export class ImageOverlay {
                     this.hideResizeInfo();
                     this.map.off('mousemove', moveHandler);
                     this.map.off('mouseup', stopHandler);
+                    this.recordHistory('画像サイズ変更');
                 };
                 
                 this.map.on('mousemove', moveHandler);
@@ -384,6 +411,12 @@ export class ImageOverlay {
             return;
         }
         
+        // 変換が設定されている場合は変換に従って表示
+        if (this.imageTransform) {
+            this.applyImageTransform();
+            return;
+        }
+        
         // 内部管理のscale値を使用
         const scale = this.getCurrentScale();
         
@@ -502,7 +535,10 @@ export class ImageOverlay {
                         this.centerMarker.addTo(this.map);
                     }
                     
-                    this.imageOverlay = L.imageOverlay(e.target.result, this.getInitialBounds(), {
+                    // 新しい画像では以前の変換を破棄
+                    this.imageTransform = null;
+                    
+                    this.imageOverlay = transformableImageOverlay(e.target.result, this.getInitialBounds(), {
                         opacity: this.getDisplayOpacity(),
                         interactive: false
                     }).addTo(this.map);
@@ -513,6 +549,9 @@ export class ImageOverlay {
                     // 画像レイヤーが完全に読み込まれるまで少し待つ
                     setTimeout(() => {
                         this.updateImageDisplay();
+                        
+                        // 画像が変わると以前の位置合わせの履歴は適用できないため破棄（GPSポイント・ルートの履歴は残す）
+                        this.history.discardHistory();
                         resolve();
                     }, 100);
                 };
@@ -526,6 +565,49 @@ export class ImageOverlay {
         });
     }
 
+    // 読み込まれている画像を地図から取り除く
+    clearImage() {
+        if (this.imageOverlay) {
+            this.map.removeLayer(this.imageOverlay);
+            this.imageOverlay = null;
+        }
+        this.removeDragHandles();
+        if (this.map.hasLayer(this.centerMarker)) {
+            this.map.removeLayer(this.centerMarker);
+        }
+        this.imageTransform = null;
+        this.currentImage = new Image();
+        this.currentImageFileName = null;
+        this.setCurrentScale(this.getDefaultScale());
+        this.notifyImageUpdate();
+    }
+
+    // 画像のピクセル値（ImageData）を取得（画像未読み込み時はnull）
+    // 同じ画像では作成済みのものを返す（線のトレースや色の取得で繰り返し使うため）
+    getImagePixelData() {
+        const src = this.getImageDataUrl();
+        if (!src) {
+            return null;
+        }
+
+        if (!this.pixelDataCache || this.pixelDataCache.src !== src) {
+            const { width, height } = this.getImageDimensions();
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            context.drawImage(this.currentImage, 0, 0, width, height);
+            this.pixelDataCache = { src, imageData: context.getImageData(0, 0, width, height) };
+        }
+
+        return this.pixelDataCache.imageData;
+    }
+
+    // 画像データ（Data URL）を取得（画像未読み込み時はnull）
+    getImageDataUrl() {
+        return this.imageOverlay && this.currentImage.src ? this.currentImage.src : null;
+    }
+
     // 現在読み込まれている画像の情報を取得
     getCurrentImageInfo() {
         return {
@@ -552,14 +634,203 @@ export class ImageOverlay {
     // 中心位置を設定（プログラマティック）
     setCenterPosition(latLng) {
         if (this.centerMarker) {
-            this.centerMarker.setLatLng(latLng);
-            // 画像表示を更新
             if (this.imageOverlay) {
-                this.updateImageDisplay();
+                this.moveImageToPosition(latLng);
+            } else {
+                this.centerMarker.setLatLng(latLng);
             }
         }
     }
 
+    // ジオリファレンスで求めた変換を設定（nullで中心＋縮尺による表示に戻す）
+    setImageTransform(transform) {
+        this.imageTransform = transform;
+        
+        if (!this.imageOverlay) {
+            return;
+        }
+        
+        if (!transform) {
+            this.imageOverlay.setImageTransform(null);
+        }
+        this.updateImageDisplay();
+    }
+
+    getImageTransform() {
+        return this.imageTransform;
+    }
+
+    // 変換に従って画像・中心マーカーを配置
+    applyImageTransform() {
+        const { width, height } = this.getImageDimensions();
+        if (!width || !height) {
+            return;
+        }
+        
+        // 回転・せん断した画像の外接矩形をboundsとして保持
+        const bounds = L.latLngBounds(this.imageTransform.getBoundingBox(width, height));
+        this.imageOverlay.setImageTransform(this.imageTransform);
+        this.imageOverlay.setBounds(bounds);
+        
+        if (!this.map.hasLayer(this.imageOverlay)) {
+            this.imageOverlay.addTo(this.map);
+        }
+        
+        const center = this.imageTransform.imageToLatLng(width / 2, height / 2);
+        this.centerMarker.setLatLng([center.lat, center.lng]);
+        
+        // 回転した画像の四隅リサイズには対応しないためハンドルは表示しない
+        this.removeDragHandles();
+        
+        this.notifyImageUpdate();
+    }
+
+    // 現在の画像の位置合わせ状態を取得（画像未読み込み時はnull）
+    // 矩形表示の場合も画像座標 → 緯度経度の変換として表す
+    getGeoreferenceState() {
+        if (!this.imageOverlay) {
+            return null;
+        }
+        
+        if (this.imageTransform) {
+            return { mode: GEOREFERENCE_DISPLAY_MODES.TRANSFORM, transform: this.imageTransform };
+        }
+        
+        const transform = this.createBoundsTransform();
+        return transform ? { mode: GEOREFERENCE_DISPLAY_MODES.BOUNDS, transform } : null;
+    }
+
+    // 位置合わせ状態を適用（options.panTo: 適用後に画像の中心へ地図を移動）
+    applyGeoreferenceState(state, { panTo = true } = {}) {
+        if (!this.imageOverlay || !state || !state.transform) {
+            return false;
+        }
+        
+        const { width, height } = this.getImageDimensions();
+        if (!width || !height) {
+            return false;
+        }
+        
+        if (state.mode === GEOREFERENCE_DISPLAY_MODES.TRANSFORM) {
+            this.setImageTransform(state.transform);
+        } else {
+            // 変換を解除して矩形の範囲を復元（縮尺は現在のズームレベルで再計算）
+            this.imageTransform = null;
+            this.imageOverlay.setImageTransform(null);
+            
+            const bounds = L.latLngBounds(state.transform.getBoundingBox(width, height));
+            this.imageOverlay.setBounds(bounds);
+            this.centerMarker.setLatLng(bounds.getCenter());
+            this.updateScaleFromBounds(bounds);
+            this.createDragHandles(bounds);
+            this.notifyImageUpdate();
+        }
+        
+        if (panTo) {
+            this.map.panTo(this.centerMarker.getLatLng());
+        }
+        return true;
+    }
+
+    // 操作履歴を設定
+    setHistoryManager(historyManager) {
+        this.historyManager = historyManager;
+        this.history.setHistoryManager(historyManager);
+    }
+
+    // 画像の位置合わせの変更を操作履歴に記録
+    recordHistory(label) {
+        this.history.commit(label);
+    }
+
+    // 操作履歴用の位置合わせ状態（JSONに変換可能な形式）
+    getGeoreferenceSnapshot() {
+        const state = this.getGeoreferenceState();
+        return state ? { mode: state.mode, transform: state.transform.toJSON() } : null;
+    }
+
+    restoreGeoreferenceSnapshot(snapshot) {
+        const transform = snapshot ? GeoTransform.fromJSON(snapshot.transform) : null;
+        if (transform) {
+            this.applyGeoreferenceState({ mode: snapshot.mode, transform }, { panTo: false });
+        }
+    }
+
+    // 矩形表示の範囲（bounds）を画像座標 → 緯度経度の変換として表す
+    createBoundsTransform() {
+        const { width, height } = this.getImageDimensions();
+        if (!this.imageOverlay || !width || !height) {
+            return null;
+        }
+        
+        const bounds = this.imageOverlay.getBounds();
+        const center = bounds.getCenter();
+        const origin = { lat: center.lat, lng: center.lng };
+        const northEast = GeoTransform.toLocalMeters(bounds.getNorth(), bounds.getEast(), origin);
+        const widthMeters = northEast.x * 2;
+        const heightMeters = northEast.y * 2;
+        
+        // 画像左上が北西の角、画像y軸は南向き
+        const params = [
+            widthMeters / width, 0, -widthMeters / 2,
+            0, -heightMeters / height, heightMeters / 2
+        ];
+        return GeoTransform.createIfValid(TRANSFORM_TYPES.AFFINE, params, origin);
+    }
+
+    // 画像の元のサイズ（ピクセル）を取得
+    getImageDimensions() {
+        return {
+            width: this.currentImage.naturalWidth || this.currentImage.width || 0,
+            height: this.currentImage.naturalHeight || this.currentImage.height || 0
+        };
+    }
+
+    // 画像座標（ピクセル）を地図座標 [lat, lng] に変換
+    imageToLatLng(imageX, imageY) {
+        if (!this.imageOverlay) {
+            return null;
+        }
+        
+        if (this.imageTransform) {
+            const latLng = this.imageTransform.imageToLatLng(imageX, imageY);
+            return [latLng.lat, latLng.lng];
+        }
+        
+        const { width, height } = this.getImageDimensions();
+        if (!width || !height) {
+            return null;
+        }
+        
+        const bounds = this.imageOverlay.getBounds();
+        const lat = bounds.getNorth() - (bounds.getNorth() - bounds.getSouth()) * (imageY / height);
+        const lng = bounds.getWest() + (bounds.getEast() - bounds.getWest()) * (imageX / width);
+        
+        return [lat, lng];
+    }
+
+    // 地図座標を画像座標（ピクセル） { x, y } に変換
+    latLngToImage(lat, lng) {
+        if (!this.imageOverlay) {
+            return null;
+        }
+        
+        if (this.imageTransform) {
+            return this.imageTransform.latLngToImage(lat, lng);
+        }
+        
+        const { width, height } = this.getImageDimensions();
+        if (!width || !height) {
+            return null;
+        }
+        
+        const bounds = this.imageOverlay.getBounds();
+        const relativeX = (lng - bounds.getWest()) / (bounds.getEast() - bounds.getWest());
+        const relativeY = (bounds.getNorth() - lat) / (bounds.getNorth() - bounds.getSouth());
+        
+        return { x: relativeX * width, y: relativeY * height };
+    }
+
     getInitialBounds() {
         const center = this.centerMarker.getLatLng();
         const offset = 0.001;
@@ -0,0 +1,230 @@
+// 画像重ね合わせモードで、読み込んだポイント（JSON）を地図上で編集するモジュール
+// 追加・移動（ドラッグ）・削除・ID変更を行い、位置は画像座標（ピクセル）に変換して保持する
+import { FileHandler } from './file-handler.js';
+import { Validators } from './validators.js';
+import { errorHandler } from './utils/error-handler.js';
+
+const ACTION_HINTS = {
+    add: '画像上の追加する位置をクリック',
+    move: '赤丸のポイントをドラッグして移動',
+    delete: '削除する赤丸のポイントをクリック',
+    rename: 'IDを変更する赤丸のポイントをクリック'
+};
+
+export class ImagePointEditor {
+    constructor(map, pointOverlay) {
+        this.map = map;
+        this.pointOverlay = pointOverlay;
+        this.fileHandler = new FileHandler();
+        this.selectedAction = null; // 'add' | 'move' | 'delete' | 'rename'
+        this.dragging = null; // ドラッグ中のポイント { point, marker }
+        this.handleMapClick = this.handleMapClick.bind(this);
+        this.handleDragMove = this.handleDragMove.bind(this);
+        this.handleDragEnd = this.handleDragEnd.bind(this);
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const buttons = {
+            add: document.getElementById('addImagePointBtn'),
+            move: document.getElementById('moveImagePointBtn'),
+            delete: document.getElementById('deleteImagePointBtn'),
+            rename: document.getElementById('renameImagePointBtn')
+        };
+        const saveImagePointsBtn = document.getElementById('saveImagePointsBtn');
+
+        Object.entries(buttons).forEach(([action, button]) => {
+            if (button) {
+                button.addEventListener('click', () => this.toggleAction(action));
+            }
+        });
+
+        if (saveImagePointsBtn) {
+            saveImagePointsBtn.addEventListener('click', () => this.savePointJson());
+        }
+
+        // 他の編集モードに切り替えたら操作を解除（地図のクリックで追加されないようにする）
+        document.querySelectorAll('input[name="editingMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (this.selectedAction) {
+                    this.clearAction();
+                }
+            });
+        });
+    }
+
+    // 操作ボタンの選択を切り替え（同じボタンで解除）
+    toggleAction(action) {
+        if (this.selectedAction === action) {
+            this.clearAction();
+            return;
+        }
+
+        const imageOverlay = this.pointOverlay.imageOverlay;
+        if (!imageOverlay || !imageOverlay.getCurrentImageInfo().isLoaded) {
+            errorHandler.showError('ポイントの編集', '画像を読み込んでください');
+            return;
+        }
+
+        // 地図のクリックを使う他の操作は終了する
+        const { manualPairManager, symbolDetectionManager } = this.pointOverlay;
+        if (manualPairManager.isPairingMode) {
+            manualPairManager.stopPairingMode();
+        }
+        if (symbolDetectionManager.isSelectingSample) {
+            symbolDetectionManager.stopSampleSelection();
+        }
+
+        this.selectedAction = action;
+        this.map.off('click', this.handleMapClick);
+        if (action === 'add') {
+            this.map.on('click', this.handleMapClick);
+        }
+        this.updateActionUI();
+    }
+
+    clearAction() {
+        this.selectedAction = null;
+        this.map.off('click', this.handleMapClick);
+        this.updateActionUI();
+    }
+
+    updateActionUI() {
+        document.querySelectorAll('.image-point-action-btn').forEach(button => {
+            button.classList.toggle('selected', button.dataset.action === this.selectedAction);
+        });
+
+        const imagePointEditHint = document.getElementById('imagePointEditHint');
+        if (imagePointEditHint) {
+            imagePointEditHint.textContent = this.selectedAction ? ACTION_HINTS[this.selectedAction] : '';
+        }
+
+        const cursors = { add: 'crosshair', move: 'move', delete: 'pointer', rename: 'pointer' };
+        this.map.getContainer().style.cursor = cursors[this.selectedAction] || '';
+    }
+
+    // 地図座標を画像座標（ピクセル）に変換（画像の範囲外の場合はnull）
+    toImagePoint(latlng) {
+        const imageOverlay = this.pointOverlay.imageOverlay;
+        const imageCoords = imageOverlay.latLngToImage(latlng.lat, latlng.lng);
+        const { width, height } = imageOverlay.getImageDimensions();
+        if (!imageCoords || imageCoords.x < 0 || imageCoords.y < 0 || imageCoords.x > width || imageCoords.y > height) {
+            return null;
+        }
+        return { imageX: Math.round(imageCoords.x), imageY: Math.round(imageCoords.y) };
+    }
+
+    // ポイントの追加（IDを入力）
+    async handleMapClick(e) {
+        const imagePoint = this.toImagePoint(e.latlng);
+        if (!imagePoint) {
+            errorHandler.showWarning('ポイントの追加', '画像の範囲内をクリックしてください');
+            return;
+        }
+
+        const id = await this.promptPointId('ポイントの追加', '');
+        if (id === null) {
+            return;
+        }
+
+        this.pointOverlay.addImagePoint({ ...imagePoint, id });
+    }
+
+    // マーカーのクリック（削除・ID変更）
+    async handleMarkerClick(point, marker) {
+        if (this.selectedAction === 'delete') {
+            marker.closePopup();
+            const confirmed = await errorHandler.showConfirm(
+                'ポイントの削除',
+                `ポイント ${point.id || '（ID未設定）'} を削除しますか？`,
+                { okLabel: '削除' }
+            );
+            if (confirmed) {
+                this.pointOverlay.removeImagePoint(point);
+            }
+        } else if (this.selectedAction === 'rename') {
+            marker.closePopup();
+            const id = await this.promptPointId('IDの変更', point.id || '', point);
+            if (id !== null && id !== point.id) {
+                this.pointOverlay.renameImagePoint(point, id);
+            }
+        }
+    }
+
+    // IDを入力（「X-nn」形式に自動修正し、形式違い・重複の場合は入力し直す。キャンセルの場合null）
+    async promptPointId(title, defaultValue, editingPoint = null) {
+        let value = defaultValue;
+        let message = 'ポイントのID（X-nn形式）を入力してください';
+        while (true) {
+            const input = await errorHandler.showPrompt(title, message, { defaultValue: value });
+            if (input === null) {
+                return null;
+            }
+
+            value = Validators.formatPointId(input.trim());
+            if (!value) {
+                message = 'IDを入力してください';
+            } else if (!Validators.isValidPointIdFormat(value)) {
+                message = `IDは「X-nn」形式（英大文字1桁-数字2桁）で入力してください: ${value}`;
+            } else if (this.pointOverlay.originalPointData.some(point => point !== editingPoint && point.id === value)) {
+                message = `ID ${value} は既に使われています。別のIDを入力してください`;
+            } else {
+                return value;
+            }
+        }
+    }
+
+    // 移動操作中のドラッグ開始（地図のドラッグを止めてマーカーだけを動かす）
+    handleMarkerMouseDown(point, marker, e) {
+        if (this.selectedAction !== 'move' || this.dragging) {
+            return;
+        }
+
+        L.DomEvent.stop(e.originalEvent);
+        marker.closePopup();
+        this.dragging = { point, marker };
+        this.map.dragging.disable();
+        this.map.on('mousemove', this.handleDragMove);
+        document.addEventListener('mouseup', this.handleDragEnd);
+    }
+
+    handleDragMove(e) {
+        if (this.dragging) {
+            this.dragging.marker.setLatLng(e.latlng);
+        }
+    }
+
+    // ドラッグ終了時に位置を画像座標に変換して保存（画像の範囲外の場合は元の位置に戻す）
+    handleDragEnd() {
+        const { point, marker } = this.dragging;
+        this.dragging = null;
+        this.map.off('mousemove', this.handleDragMove);
+        document.removeEventListener('mouseup', this.handleDragEnd);
+        this.map.dragging.enable();
+
+        const imagePoint = this.toImagePoint(marker.getLatLng());
+        if (imagePoint) {
+            this.pointOverlay.moveImagePoint(point, imagePoint.imageX, imagePoint.imageY);
+        } else {
+            this.pointOverlay.moveImagePoint(point, point.imageX, point.imageY);
+        }
+    }
+
+    // 編集後のポイントJSONを保存（読み込んだファイル名を初期値とする）
+    async savePointJson() {
+        if (this.pointOverlay.originalPointData.length === 0) {
+            errorHandler.showError('ポイントJSON保存', '保存するポイントがありません');
+            return;
+        }
+
+        const pointData = this.pointOverlay.getPointJsonData();
+        const defaultFilename = this.pointOverlay.pointJsonFileName
+            || `${(pointData.imageReference || 'image').replace(/\.[^/.]+$/, '')}.points.json`;
+        const result = await this.fileHandler.saveJSONWithUserChoice(pointData, defaultFilename);
+        if (result.success) {
+            errorHandler.showSuccess('保存完了', `ポイントJSONを保存しました。\nファイル名: ${result.filename}`);
+        } else if (result.error !== 'キャンセル') {
+            errorHandler.showError('保存エラー', result.error);
+        }
+    }
+}
@@ -0,0 +1,238 @@
+// IDが一致しないJSONポイントとGPSマーカーを手動で対応付けるモジュール
+
+export class ManualPairManager {
+    constructor(map, pointOverlay) {
+        this.map = map;
+        this.pointOverlay = pointOverlay;
+        this.pairs = []; // [{ jsonId, gpsId }]
+        this.pairLines = [];
+        this.isPairingMode = false;
+        this.pendingJsonId = null;
+        this.gpsClickHandlers = [];
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const manualPairingBtn = document.getElementById('manualPairingBtn');
+        if (manualPairingBtn) {
+            manualPairingBtn.addEventListener('click', () => {
+                if (this.isPairingMode) {
+                    this.stopPairingMode();
+                } else {
+                    this.startPairingMode();
+                }
+            });
+        }
+    }
+
+    // ペアリングモードを開始（GPSマーカーのクリックを受け付ける）
+    startPairingMode() {
+        const gpsData = this.pointOverlay.gpsData;
+        if (!gpsData || gpsData.getGPSMarkers().length === 0 || this.pointOverlay.originalPointData.length === 0) {
+            this.pointOverlay.showErrorMessage('ペアリングエラー', 'GPSデータとポイントJSONを読み込んでください');
+            return;
+        }
+
+        // ポイント（JSON）の編集操作は終了する（地図のクリックでポイントが追加されないようにする）
+        const { imagePointEditor } = this.pointOverlay;
+        if (imagePointEditor.selectedAction) {
+            imagePointEditor.clearAction();
+        }
+
+        this.isPairingMode = true;
+        this.pendingJsonId = null;
+
+        gpsData.getGPSMarkers().forEach(gpsMarker => {
+            const handler = () => {
+                this.handleGpsMarkerClick(gpsMarker.id, gpsMarker.marker);
+            };
+            gpsMarker.marker.on('click', handler);
+            this.gpsClickHandlers.push({ marker: gpsMarker.marker, handler });
+        });
+
+        this.updatePairingUI();
+    }
+
+    // ペアリングモードを終了
+    stopPairingMode() {
+        this.gpsClickHandlers.forEach(({ marker, handler }) => {
+            marker.off('click', handler);
+        });
+        this.gpsClickHandlers = [];
+        this.isPairingMode = false;
+        this.pendingJsonId = null;
+        this.updatePairingUI();
+    }
+
+    // JSONポイントのクリック（ペアリングモード中のみ処理し、処理した場合trueを返す）
+    handleJsonMarkerClick(jsonId, marker) {
+        if (!this.isPairingMode) {
+            return false;
+        }
+
+        marker.closePopup();
+
+        if (!jsonId) {
+            this.pointOverlay.showWarningMessage('ペアリング', 'IDのないポイントは対応付けできません');
+            return true;
+        }
+
+        if (this.isMatchedById(jsonId)) {
+            this.pointOverlay.showWarningMessage('ペアリング', `ポイント ${jsonId} はIDが一致するGPSポイントと既に対応付けられています`);
+            return true;
+        }
+
+        this.pendingJsonId = jsonId;
+        this.updatePairingUI();
+        return true;
+    }
+
+    // GPSマーカーのクリック（JSONポイント選択済みの場合にペアを作成）
+    handleGpsMarkerClick(gpsId, marker) {
+        if (!this.isPairingMode) {
+            return;
+        }
+
+        marker.closePopup();
+
+        if (!this.pendingJsonId) {
+            this.pointOverlay.showWarningMessage('ペアリング', '先に赤丸のポイント（JSON）をクリックしてください');
+            return;
+        }
+
+        this.addPair(this.pendingJsonId, gpsId);
+        this.pendingJsonId = null;
+        this.updatePairingUI();
+    }
+
+    // ペアを追加（同じJSONポイント・GPSポイントの既存ペアは置き換える）
+    addPair(jsonId, gpsId) {
+        this.pairs = this.pairs.filter(pair => pair.jsonId !== jsonId && pair.gpsId !== gpsId);
+        this.pairs.push({ jsonId, gpsId });
+        this.onPairsChanged();
+    }
+
+    removePair(jsonId) {
+        this.pairs = this.pairs.filter(pair => pair.jsonId !== jsonId);
+        this.onPairsChanged();
+    }
+
+    getPairs() {
+        return this.pairs.map(pair => ({ ...pair }));
+    }
+
+    // ペアを設定（プロジェクト読み込み時など）
+    setPairs(pairs) {
+        this.pairs = Array.isArray(pairs)
+            ? pairs.filter(pair => pair && pair.jsonId && pair.gpsId).map(pair => ({ jsonId: pair.jsonId, gpsId: pair.gpsId }))
+            : [];
+        this.onPairsChanged();
+    }
+
+    clear() {
+        if (this.isPairingMode) {
+            this.stopPairingMode();
+        }
+        this.pairs = [];
+        this.onPairsChanged();
+    }
+
+    onPairsChanged() {
+        this.renderPairList();
+        this.drawPairLines();
+        this.pointOverlay.matchPointsWithGPS({ silent: true });
+    }
+
+    // JSONポイントがIDの一致するGPSポイントを持つかどうか
+    isMatchedById(jsonId) {
+        const gpsData = this.pointOverlay.gpsData;
+        return !!gpsData && gpsData.getGPSMarkers().some(gps => gps.id === jsonId);
+    }
+
+    // ペアリングボタンと案内表示を更新
+    updatePairingUI() {
+        const manualPairingBtn = document.getElementById('manualPairingBtn');
+        if (manualPairingBtn) {
+            manualPairingBtn.classList.toggle('active', this.isPairingMode);
+            manualPairingBtn.textContent = this.isPairingMode ? '手動ペアリング終了' : '手動ペアリング';
+        }
+
+        const manualPairingHint = document.getElementById('manualPairingHint');
+        if (manualPairingHint) {
+            if (!this.isPairingMode) {
+                manualPairingHint.textContent = '';
+            } else if (this.pendingJsonId) {
+                manualPairingHint.textContent = `${this.pendingJsonId} に対応するGPSポイント（緑の三角）をクリック`;
+            } else {
+                manualPairingHint.textContent = '赤丸のポイント（JSON）をクリック';
+            }
+        }
+    }
+
+    // 手動ペアの一覧を表示
+    renderPairList() {
+        const manualPairList = document.getElementById('manualPairList');
+        if (!manualPairList) {
+            return;
+        }
+
+        manualPairList.innerHTML = '';
+
+        this.pairs.forEach(pair => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.textContent = `${pair.jsonId} ⇔ ${pair.gpsId}`;
+            item.appendChild(label);
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '削除';
+            removeButton.title = 'この手動ペアを削除';
+            removeButton.addEventListener('click', () => {
+                this.removePair(pair.jsonId);
+            });
+            item.appendChild(removeButton);
+
+            manualPairList.appendChild(item);
+        });
+
+        manualPairList.style.display = this.pairs.length > 0 ? 'block' : 'none';
+    }
+
+    // 手動ペアを破線で結んで表示
+    drawPairLines() {
+        this.clearPairLines();
+
+        const gpsData = this.pointOverlay.gpsData;
+        if (!gpsData) {
+            return;
+        }
+        const gpsMarkers = gpsData.getGPSMarkers();
+
+        this.pairs.forEach(pair => {
+            const jsonMarker = this.pointOverlay.getJsonMarkerById(pair.jsonId);
+            const gpsMarker = gpsMarkers.find(gps => gps.id === pair.gpsId);
+            if (!jsonMarker || !gpsMarker) {
+                return;
+            }
+
+            const line = L.polyline([jsonMarker.getLatLng(), gpsMarker.marker.getLatLng()], {
+                color: '#6f42c1',
+                weight: 2,
+                opacity: 0.8,
+                dashArray: '4, 4',
+                interactive: false
+            }).addTo(this.map);
+            this.pairLines.push(line);
+        });
+    }
+
+    clearPairLines() {
+        this.pairLines.forEach(line => {
+            if (this.map.hasLayer(line)) {
+                this.map.removeLayer(line);
+            }
+        });
+        this.pairLines = [];
+    }
+}
@@ -37,6 +37,15 @@ export class ModeSwitcher {
         
     }
 
+    // プログラムからモードを切り替え（ラジオボタンの選択状態も更新）
+    setMode(mode) {
+        const modeRadio = document.querySelector(`input[name="editingMode"][value="${mode}"]`);
+        if (!modeRadio) return;
+        
+        modeRadio.checked = true;
+        this.switchMode(mode);
+    }
+
     showCurrentModePanel() {
         const pointGpsEditor = document.getElementById('pointGpsEditor');
         const imageOverlayEditor = document.getElementById('imageOverlayEditor');
@@ -1,5 +1,6 @@
 // ポイント編集機能を管理するモジュール
 import { Validators } from './validators.js';
+import { SnapshotHistory } from './history-manager.js';
 
 export class PointEditor {
     constructor(map, gpsData) {
@@ -7,9 +8,34 @@ export class PointEditor {
         this.gpsData = gpsData;
         this.selectedAction = null;
         this.tempCounter = 1; // 仮ナンバリング用カウンター
+        this.history = new SnapshotHistory(
+            () => (this.gpsData ? this.gpsData.getPointsState().points : []),
+            (points) => this.restorePoints(points)
+        );
         this.setupEventHandlers();
     }
 
+    // 操作履歴を設定
+    setHistoryManager(historyManager) {
+        this.history.setHistoryManager(historyManager);
+    }
+
+    // ポイントの変更を操作履歴に記録
+    recordHistory(label) {
+        this.history.commit(label);
+    }
+
+    // 操作履歴からポイントを復元
+    restorePoints(points) {
+        if (!this.gpsData) return;
+
+        this.gpsData.restorePointsState({ sourceFileName: this.gpsData.sourceFileName, points });
+        this.refreshExistingMarkerEvents();
+        this.clearPointInfo();
+        this.updatePointCountField();
+        this.updateMapCursor();
+    }
+
     setupEventHandlers() {
         // ポイント操作ボタンのイベントハンドラー設定
         const addPointBtn = document.getElementById('addPointBtn');
@@ -112,6 +138,8 @@ export class PointEditor {
                         }
                     }
                 }
+                
+                this.recordHistory('ポイント名変更');
             });
         }
         
@@ -119,6 +147,10 @@ export class PointEditor {
             locationField.addEventListener('input', () => {
                 this.updateSelectedPointData();
             });
+            
+            locationField.addEventListener('blur', () => {
+                this.recordHistory('場所の変更');
+            });
         }
     }
 
@@ -229,6 +261,7 @@ export class PointEditor {
 
         // UI更新
         this.updatePointCountField();
+        this.recordHistory('ポイント追加');
 
         // ID名フィールドのテキストを全選択
         const pointIdField = document.getElementById('pointIdField');
@@ -293,6 +326,7 @@ export class PointEditor {
             pointData.lat = newLatLng.lat;
             pointData.lng = newLatLng.lng;
             this.updatePointInfo(pointData);
+            this.recordHistory('ポイント移動');
             
             // 移動モードの場合は移動ボタンの選択を解除
             if (this.selectedAction === 'move') {
@@ -346,6 +380,7 @@ export class PointEditor {
         
         // UI更新
         this.updatePointCountField();
+        this.recordHistory('ポイント削除');
         
         // 選択中のポイントの場合はクリア
         if (this.selectedPoint === pointData) {
@@ -1,4 +1,27 @@
 // ポイントオーバーレイ機能を管理するモジュール
+import { GeoTransform, TRANSFORM_TYPES } from './geo-transform.js';
+import { GeoreferenceReport } from './georeference-report.js';
+import { ControlPointSelector } from './control-point-selector.js';
+import { ManualPairManager } from './manual-pair-manager.js';
+import { SymbolDetectionManager } from './symbol-detection-manager.js';
+import { ImagePointEditor } from './image-point-editor.js';
+import { SnapshotHistory } from './history-manager.js';
+import { DEFAULTS } from './constants.js';
+import { calculateDistance as calculateDistanceInMeters } from './utils/geo-distance.js';
+
+// ジオリファレンスの方式
+const GEOREFERENCE_METHODS = {
+    CENTER_SCALE: 'center-scale', // 中心位置＋一様スケール（回転なし）
+    SIMILARITY: TRANSFORM_TYPES.SIMILARITY,
+    AFFINE: TRANSFORM_TYPES.AFFINE
+};
+
+// 対応点ごとの採否の指定（ユーザーによる強制採用・強制除外）
+const CONTROL_POINT_OVERRIDES = {
+    INCLUDE: 'include',
+    EXCLUDE: 'exclude'
+};
+
 export class PointOverlay {
     constructor(map, imageOverlay = null, gpsData = null) {
         this.map = map;
@@ -7,12 +30,31 @@ export class PointOverlay {
         this.pointData = [];
         this.pointMarkers = [];
         this.originalPointData = []; // 元の画像座標を保持
+        this.georeferenceReport = new GeoreferenceReport(map);
+        this.controlPointSelector = new ControlPointSelector();
+        this.controlPointOverrides = new Map(); // ポイントID → 'include' | 'exclude'
         this.setupEventHandlers();
+        this.manualPairManager = new ManualPairManager(map, this);
+        this.symbolDetectionManager = new SymbolDetectionManager(map, this);
+        this.imagePointEditor = new ImagePointEditor(map, this);
+        // ポイント（JSON）の編集（追加・移動・削除・ID変更）の操作履歴
+        this.history = new SnapshotHistory(
+            () => this.getState(),
+            (state) => this.restoreEditedState(state)
+        );
+
+        // 残差一覧で採否が変更されたら再計算する
+        this.georeferenceReport.setOverrideChangeCallback((id, override) => {
+            this.setControlPointOverride(id, override);
+            this.autoAdjustImageToGPS();
+        });
         
         // 画像更新時のコールバックを登録
         if (this.imageOverlay) {
             this.imageOverlay.addImageUpdateCallback(() => {
                 this.updatePointPositions();
+                this.manualPairManager.drawPairLines();
+                this.symbolDetectionManager.updatePositions();
             });
         }
     }
@@ -49,6 +91,24 @@ export class PointOverlay {
         }
     }
 
+    // 操作履歴を設定
+    setHistoryManager(historyManager) {
+        this.history.setHistoryManager(historyManager);
+    }
+
+    // ポイントJSONを読み込み直した場合、以前のポイントの編集は元に戻せないよう履歴から取り除く
+    discardEditHistory() {
+        this.history.discardHistory();
+    }
+
+    // 操作履歴からポイント（JSON）の編集前後の状態を復元（保存時のファイル名は維持）
+    restoreEditedState(state) {
+        const pointJsonFileName = this.pointJsonFileName;
+        this.restoreState(state);
+        this.pointJsonFileName = pointJsonFileName;
+        this.onImagePointsChanged();
+    }
+
     loadPointJSON(file) {
         return new Promise((resolve, reject) => {
             // ファイル形式チェック
@@ -81,6 +141,8 @@ export class PointOverlay {
                     }
                     
                     this.addPointsToMap(pointData);
+                    this.pointJsonFileName = file.name;
+                    this.discardEditHistory();
                     resolve(pointData);
                 } catch (error) {
                     reject(new Error('JSONファイルの解析に失敗しました: ' + error.message));
@@ -98,43 +160,25 @@ export class PointOverlay {
         
         // 元の画像座標データを保存
         this.originalPointData = [];
+        this.pointImageReference = pointData.imageReference || null;
+        this.pointJsonFileName = null;
+        this.controlPointOverrides.clear();
+        this.manualPairManager.clear();
         
         // ポイントデータの処理と地図への追加
         if (pointData.points && Array.isArray(pointData.points)) {
-            pointData.points.forEach((point, index) => {
+            pointData.points.forEach(point => {
                 if (point.imageX !== undefined && point.imageY !== undefined) {
                     // 元の画像座標を保存
-                    this.originalPointData.push({
+                    const originalPoint = {
                         imageX: point.imageX,
                         imageY: point.imageY,
                         id: point.id
-                    });
-                    
-                    // 画像左上からの位置を地図座標に変換
-                    const imageCoords = this.convertImageCoordsToMapCoords(point.imageX, point.imageY);
+                    };
+                    this.originalPointData.push(originalPoint);
                     
-                    if (imageCoords) {
-                        // 赤丸マーカーを作成（位置を丸の中心とする）
-                        const marker = L.circleMarker(imageCoords, {
-                            radius: 6,
-                            fillColor: '#ff0000',
-                            color: '#ffffff',
-                            weight: 2,
-                            opacity: 1,
-                            fillOpacity: 0.8
-                        }).addTo(this.map);
-                        
-                        if (point.id) {
-                            marker.bindPopup(`ポイント(JSON): ${point.id}`);
-                        }
-                        
-                        // JSONマーカーにクリックイベントを追加
-                        marker.on('click', (e) => {
-                            
-                            // イベントの伝播を停止
-                            L.DomEvent.stopPropagation(e);
-                        });
-                        
+                    const marker = this.createPointMarker(originalPoint);
+                    if (marker) {
                         this.pointMarkers.push(marker);
                     }
                 }
@@ -145,30 +189,175 @@ export class PointOverlay {
         }
     }
 
-    // 画像座標から地図座標への変換
-    convertImageCoordsToMapCoords(imageX, imageY) {
-        if (!this.imageOverlay || !this.imageOverlay.imageOverlay) {
+    // ポイント（JSON）のマーカーを作成（画像未読み込みの場合はnull）
+    createPointMarker(point) {
+        // 画像左上からの位置を地図座標に変換
+        const imageCoords = this.convertImageCoordsToMapCoords(point.imageX, point.imageY);
+        if (!imageCoords) {
             return null;
         }
+        
+        // 赤丸マーカーを作成（位置を丸の中心とする）
+        const marker = L.circleMarker(imageCoords, {
+            radius: 6,
+            fillColor: '#ff0000',
+            color: '#ffffff',
+            weight: 2,
+            opacity: 1,
+            fillOpacity: 0.8
+        }).addTo(this.map);
+        this.updatePointMarkerPopup(marker, point);
+        
+        // JSONマーカーにクリックイベントを追加
+        marker.on('click', (e) => {
+            // 手動ペアリング中はペアの選択として扱い、それ以外は編集操作（削除・ID変更）として扱う
+            if (!this.manualPairManager.handleJsonMarkerClick(point.id, marker)) {
+                this.imagePointEditor.handleMarkerClick(point, marker);
+            }
+            
+            // イベントの伝播を停止
+            L.DomEvent.stopPropagation(e);
+        });
+        
+        // 移動操作中はドラッグで位置を変更
+        marker.on('mousedown', (e) => {
+            this.imagePointEditor.handleMarkerMouseDown(point, marker, e);
+        });
+        
+        return marker;
+    }
+
+    updatePointMarkerPopup(marker, point) {
+        if (point.id) {
+            marker.bindPopup(`ポイント(JSON): ${point.id}`);
+        } else {
+            marker.unbindPopup();
+        }
+    }
 
-        const bounds = this.imageOverlay.imageOverlay.getBounds();
-        const imageBounds = this.imageOverlay.imageOverlay._image;
+    // ポイント（JSON）を追加
+    addImagePoint(point) {
+        const marker = this.createPointMarker(point);
+        if (!marker) {
+            return false;
+        }
         
-        if (!imageBounds) return null;
+        // 手動ペアや採否の指定の変更は履歴に含めないため、編集の直前の状態を基準とする
+        this.history.resetBaseline();
+        this.originalPointData.push(point);
+        this.pointMarkers.push(marker);
+        this.onImagePointsChanged();
+        this.history.commit('ポイント(JSON)追加');
+        return true;
+    }
 
-        // 画像の実際のサイズ
-        const imageWidth = this.imageOverlay.currentImage.naturalWidth;
-        const imageHeight = this.imageOverlay.currentImage.naturalHeight;
+    // ポイント（JSON）を削除（手動ペアも削除）
+    removeImagePoint(point) {
+        const index = this.originalPointData.indexOf(point);
+        if (index < 0) {
+            return;
+        }
+        
+        this.history.resetBaseline();
+        this.map.removeLayer(this.pointMarkers[index]);
+        this.originalPointData.splice(index, 1);
+        this.pointMarkers.splice(index, 1);
+        this.manualPairManager.removePair(point.id);
+        this.controlPointOverrides.delete(point.id);
+        this.onImagePointsChanged();
+        this.history.commit('ポイント(JSON)削除');
+    }
 
-        // 画像座標を正規化（0-1の範囲）
-        const normalizedX = imageX / imageWidth;
-        const normalizedY = imageY / imageHeight;
+    // ポイント（JSON）のIDを変更（手動ペア・採否の指定のIDも変更）
+    renameImagePoint(point, newId) {
+        const index = this.originalPointData.indexOf(point);
+        if (index < 0) {
+            return;
+        }
+        
+        this.history.resetBaseline();
+        const oldId = point.id;
+        point.id = newId;
+        this.updatePointMarkerPopup(this.pointMarkers[index], point);
+        this.manualPairManager.setPairs(this.manualPairManager.getPairs().map(pair => (
+            pair.jsonId === oldId ? { ...pair, jsonId: newId } : pair
+        )));
+
+        // 新しいIDに残っている以前のポイントの指定は破棄し、元のIDの指定を引き継ぐ
+        const override = this.controlPointOverrides.get(oldId);
+        this.controlPointOverrides.delete(oldId);
+        this.setControlPointOverride(newId, override);
+
+        this.onImagePointsChanged();
+        this.history.commit('ポイント(JSON)ID変更');
+    }
+
+    // ポイント（JSON）の画像座標を変更
+    moveImagePoint(point, imageX, imageY) {
+        const index = this.originalPointData.indexOf(point);
+        if (index < 0) {
+            return;
+        }
+        
+        this.history.resetBaseline();
+        point.imageX = imageX;
+        point.imageY = imageY;
+        const position = this.convertImageCoordsToMapCoords(imageX, imageY);
+        if (position) {
+            this.pointMarkers[index].setLatLng(position);
+        }
+        this.onImagePointsChanged();
+        this.history.commit('ポイント(JSON)移動');
+    }
+
+    // ポイント（JSON）の編集後にポイント数・マッチング結果・手動ペアの線を更新
+    onImagePointsChanged() {
+        this.updatePointCountDisplay(this.originalPointData.length);
+        this.matchPointsWithGPS({ silent: true });
+        this.manualPairManager.drawPairLines();
+    }
+
+    // 編集後のポイントJSONのデータ（読み込んだJSONのimageReferenceを維持）
+    getPointJsonData() {
+        return {
+            imageReference: this.pointImageReference || (this.imageOverlay ? this.imageOverlay.getCurrentImageInfo().fileName : null),
+            points: this.originalPointData.map(point => ({ ...point }))
+        };
+    }
 
-        // 地図座標に変換
-        const lat = bounds.getNorth() - (bounds.getNorth() - bounds.getSouth()) * normalizedY;
-        const lng = bounds.getWest() + (bounds.getEast() - bounds.getWest()) * normalizedX;
+    // 画像座標から地図座標への変換（ジオリファレンスの変換が設定されている場合はそれに従う）
+    convertImageCoordsToMapCoords(imageX, imageY) {
+        if (!this.imageOverlay || !this.imageOverlay.imageOverlay) {
+            return null;
+        }
 
-        return [lat, lng];
+        return this.imageOverlay.imageToLatLng(imageX, imageY);
+    }
+
+    // ポイントJSON・手動ペア・採否の指定を取得（プロジェクト保存用）
+    getState() {
+        return {
+            pointJson: this.originalPointData.length > 0
+                ? { imageReference: this.pointImageReference, points: this.originalPointData.map(point => ({ ...point })) }
+                : null,
+            manualPairs: this.manualPairManager.getPairs(),
+            controlPointOverrides: Array.from(this.controlPointOverrides.entries())
+        };
+    }
+
+    // ポイントJSON・手動ペア・採否の指定を復元
+    restoreState(state) {
+        if (!state || !state.pointJson) {
+            this.clearPointMarkers();
+            this.manualPairManager.clear();
+            return;
+        }
+
+        this.addPointsToMap(state.pointJson);
+        (state.controlPointOverrides || []).forEach(([id, override]) => {
+            this.setControlPointOverride(id, override);
+        });
+        this.manualPairManager.setPairs(state.manualPairs);
     }
 
     // ポイントマーカーをクリア
@@ -185,6 +374,9 @@ export class PointOverlay {
         if (unmatchedPointsField) {
             unmatchedPointsField.value = '';
         }
+        this.updateRejectedPointsDisplay([]);
+        // 残差表示をクリア
+        this.georeferenceReport.clear();
     }
 
     // ポイント数表示を更新
@@ -249,36 +441,76 @@ export class PointOverlay {
     }
 
     // ポイントマッチング機能
-    matchPointsWithGPS() {
+    // options.silent: データ未読み込み時にエラーを表示しない（手動ペア変更時の再集計など）
+    matchPointsWithGPS(options = {}) {
         if (!this.gpsData || this.originalPointData.length === 0) {
-            this.showErrorMessage('マッチングエラー', 'GPSデータまたはポイントデータが見つかりません');
+            if (!options.silent) {
+                this.showErrorMessage('マッチングエラー', 'GPSデータまたはポイントデータが見つかりません');
+            }
             return;
         }
 
         const gpsMarkers = this.gpsData.getGPSMarkers();
         if (gpsMarkers.length === 0) {
-            this.showErrorMessage('マッチングエラー', 'GPS マーカーが見つかりませんでした');
+            if (!options.silent) {
+                this.showErrorMessage('マッチングエラー', 'GPS マーカーが見つかりませんでした');
+            }
             return;
         }
 
         // ID 名が一致するマーカーペアを検索
+        const matchedPairs = this.findMatchedPairs(gpsMarkers);
+
+        // 一致数を表示
+        this.updateMatchedPointCountDisplay(matchedPairs.length);
+        
+        // 不一致ポイントの一覧を表示
+        this.updateUnmatchedPointsDisplay(matchedPairs);
+    }
+
+    // ID 名が一致するJSONポイントとGPSマーカーのペア、および手動ペアを取得
+    findMatchedPairs(gpsMarkers) {
         const matchedPairs = [];
+        const manualPairs = this.manualPairManager.getPairs();
+
         this.originalPointData.forEach((jsonPoint, index) => {
-            const matchingGPS = gpsMarkers.find(gps => gps.id === jsonPoint.id);
-            if (matchingGPS && index < this.pointMarkers.length) {
+            if (index >= this.pointMarkers.length) {
+                return;
+            }
+
+            let matchingGPS = gpsMarkers.find(gps => gps.id === jsonPoint.id);
+            let manual = false;
+
+            // ID が一致しない場合は手動ペアを使用
+            if (!matchingGPS) {
+                const manualPair = manualPairs.find(pair => pair.jsonId === jsonPoint.id);
+                matchingGPS = manualPair ? gpsMarkers.find(gps => gps.id === manualPair.gpsId) : null;
+                manual = !!matchingGPS;
+            }
+
+            if (matchingGPS) {
                 matchedPairs.push({
                     jsonPoint: jsonPoint,
                     gpsPoint: matchingGPS,
-                    jsonMarker: this.pointMarkers[index]
+                    jsonMarker: this.pointMarkers[index],
+                    manual
                 });
             }
         });
+        return matchedPairs;
+    }
 
-        // 一致数を表示
-        this.updateMatchedPointCountDisplay(matchedPairs.length);
-        
-        // 不一致ポイントの一覧を表示
-        this.updateUnmatchedPointsDisplay(matchedPairs);
+    // IDからJSONポイントのマーカーを取得
+    getJsonMarkerById(id) {
+        const index = this.originalPointData.findIndex(point => point.id === id);
+        return index >= 0 && index < this.pointMarkers.length ? this.pointMarkers[index] : null;
+    }
+
+    // 選択されているジオリファレンス方式を取得
+    getGeoreferenceMethod() {
+        const georefMethodSelect = document.getElementById('georefMethodSelect');
+        const method = georefMethodSelect ? georefMethodSelect.value : '';
+        return Object.values(GEOREFERENCE_METHODS).includes(method) ? method : GEOREFERENCE_METHODS.SIMILARITY;
     }
 
     // GPS マーカーとポイント JSON マーカーの自動調整
@@ -295,28 +527,98 @@ export class PointOverlay {
         }
 
         // ID 名が一致するマーカーペアを検索
-        const matchedPairs = [];
-        this.originalPointData.forEach((jsonPoint, index) => {
-            const matchingGPS = gpsMarkers.find(gps => gps.id === jsonPoint.id);
-            if (matchingGPS && index < this.pointMarkers.length) {
-                matchedPairs.push({
-                    jsonPoint: jsonPoint,
-                    gpsPoint: matchingGPS,
-                    jsonMarker: this.pointMarkers[index]
-                });
-            }
-        });
+        const matchedPairs = this.findMatchedPairs(gpsMarkers);
 
         if (matchedPairs.length < 2) {
             this.showErrorMessage('調整エラー', '自動調整には少なくとも2つの一致するマーカーが必要です');
             return;
         }
 
-        // 最適な画像調整を計算（全ポイントを使用した最小二乗法）
-        this.calculateOptimalImageAdjustment(matchedPairs);
+        const method = this.getGeoreferenceMethod();
+        if (method === GEOREFERENCE_METHODS.AFFINE && matchedPairs.length < GeoTransform.getMinimumPairs(method)) {
+            this.showErrorMessage('調整エラー', 'アフィン変換には少なくとも3つの一致するマーカーが必要です');
+            return;
+        }
+
+        // 外れ値を除外して計算に使用する対応点を選択
+        const selection = this.selectControlPoints(matchedPairs);
+        this.updateRejectedPointsDisplay([...selection.rejected, ...selection.excluded]);
+
+        const minimumPairs = method === GEOREFERENCE_METHODS.AFFINE ? GeoTransform.getMinimumPairs(method) : 2;
+        if (selection.used.length < minimumPairs) {
+            this.showErrorMessage('調整エラー', `除外後の対応点が不足しています（${selection.used.length}個）。採否の指定や閾値を見直してください`);
+            return;
+        }
+
+        // 最適な画像調整を計算（採用した対応点を使用した最小二乗法）
+        if (this.calculateOptimalImageAdjustment(selection.used)) {
+            this.imageOverlay.recordHistory('画像の自動調整');
+            this.showResidualReport(matchedPairs, selection);
+        }
+    }
+
+    // 画像調整に使用する対応点を選択
+    // 戻り値: { used: 採用, rejected: 外れ値として自動除外, excluded: ユーザーが除外 }
+    selectControlPoints(matchedPairs) {
+        const excluded = matchedPairs.filter(pair =>
+            this.controlPointOverrides.get(pair.jsonPoint.id) === CONTROL_POINT_OVERRIDES.EXCLUDE
+        );
+        const candidates = matchedPairs.filter(pair => !excluded.includes(pair));
+
+        if (!this.isRobustFitEnabled()) {
+            return { used: candidates, rejected: [], excluded };
+        }
+
+        const forcedIds = new Set(
+            candidates
+                .filter(pair => this.controlPointOverrides.get(pair.jsonPoint.id) === CONTROL_POINT_OVERRIDES.INCLUDE)
+                .map(pair => pair.jsonPoint.id)
+        );
+
+        // 計算用の対応点と元のマーカーペアを対応付けてRANSACで判定
+        const fitPairs = candidates.map(pair => ({ ...this.createFitPair(pair), id: pair.jsonPoint.id, source: pair }));
+        const result = this.controlPointSelector.selectInliers(fitPairs, this.getOutlierThreshold(), forcedIds);
+
+        return {
+            used: result.inliers.map(fitPair => fitPair.source),
+            rejected: result.outliers.map(fitPair => fitPair.source),
+            excluded
+        };
+    }
+
+    // 外れ値除外が有効かどうか
+    isRobustFitEnabled() {
+        const robustFitCheckbox = document.getElementById('robustFitCheckbox');
+        return robustFitCheckbox ? robustFitCheckbox.checked : false;
+    }
+
+    // 外れ値とみなす残差の閾値（メートル）を取得
+    getOutlierThreshold() {
+        const robustThresholdInput = document.getElementById('robustThresholdInput');
+        const threshold = robustThresholdInput ? parseFloat(robustThresholdInput.value) : NaN;
+        return isFinite(threshold) && threshold > 0 ? threshold : DEFAULTS.GEOREFERENCE_OUTLIER_THRESHOLD;
+    }
+
+    // 対応点の採否を指定（'include' | 'exclude'、それ以外は自動判定に戻す）
+    setControlPointOverride(id, override) {
+        if (Object.values(CONTROL_POINT_OVERRIDES).includes(override)) {
+            this.controlPointOverrides.set(id, override);
+        } else {
+            this.controlPointOverrides.delete(id);
+        }
+    }
+
+    // 除外ポイントの一覧を表示
+    updateRejectedPointsDisplay(rejectedPairs) {
+        const rejectedPointsField = document.getElementById('rejectedPointsField');
+        if (rejectedPointsField) {
+            // スペース区切りで除外ポイントのIDを表示
+            rejectedPointsField.value = rejectedPairs.map(pair => pair.jsonPoint.id).join(' ');
+        }
     }
 
     // 最適化された画像調整パラメータを計算（全ポイントを使用した最小二乗法）
+    // 戻り値: 画像を調整できた場合true
     calculateOptimalImageAdjustment(matchedPairs) {
         // 全ペアのデータ妥当性をチェック
         for (const pair of matchedPairs) {
@@ -324,8 +626,23 @@ export class PointOverlay {
                 typeof pair.gpsPoint.lat !== 'number' || typeof pair.gpsPoint.lng !== 'number' ||
                 typeof pair.jsonPoint.imageX !== 'number' || typeof pair.jsonPoint.imageY !== 'number') {
                 this.showErrorMessage('調整エラー', 'マーカーペアのデータが不完全または無効です');
-                return;
+                return false;
+            }
+        }
+
+        const method = this.getGeoreferenceMethod();
+
+        // 相似変換・アフィン変換は閉形式の最小二乗法で求める
+        if (method !== GEOREFERENCE_METHODS.CENTER_SCALE) {
+            const transform = GeoTransform.fit(method, this.createFitPairs(matchedPairs));
+            
+            if (!transform) {
+                this.showErrorMessage('調整エラー', '変換の計算に失敗しました。対応点が一直線上や同じ位置に並んでいないか確認してください');
+                return false;
             }
+
+            this.applyImageTransform(transform);
+            return true;
         }
 
         // 最適なパラメータを反復計算で求める
@@ -333,11 +650,63 @@ export class PointOverlay {
         
         if (!result) {
             this.showErrorMessage('調整エラー', '最適化計算に失敗しました');
-            return;
+            return false;
         }
 
         // 最適化結果を適用
         this.applyImageAdjustment(result.centerLat, result.centerLng, result.scale);
+        return true;
+    }
+
+    // ジオリファレンス結果の残差（GPS位置と変換後の画像ポイント位置の差）を表示
+    // selection: selectControlPoints の結果（省略時は全ポイントを採用とみなす）
+    showResidualReport(matchedPairs, selection = null) {
+        const residualPairs = [];
+        const rejected = new Set(selection ? selection.rejected : []);
+        const excluded = new Set(selection ? selection.excluded : []);
+
+        matchedPairs.forEach(pair => {
+            const predicted = this.imageOverlay.imageToLatLng(pair.jsonPoint.imageX, pair.jsonPoint.imageY);
+            if (predicted) {
+                residualPairs.push({
+                    id: pair.jsonPoint.id,
+                    gpsLat: pair.gpsPoint.lat,
+                    gpsLng: pair.gpsPoint.lng,
+                    predictedLat: predicted[0],
+                    predictedLng: predicted[1],
+                    status: excluded.has(pair) ? 'excluded' : (rejected.has(pair) ? 'rejected' : 'used'),
+                    override: this.controlPointOverrides.get(pair.jsonPoint.id) || 'auto'
+                });
+            }
+        });
+
+        const report = this.georeferenceReport.calculateResiduals(residualPairs);
+        this.georeferenceReport.show(report);
+        return report;
+    }
+
+    // マーカーペアを変換計算用の対応点に変換
+    createFitPairs(matchedPairs) {
+        return matchedPairs.map(pair => this.createFitPair(pair));
+    }
+
+    createFitPair(pair) {
+        return {
+            imageX: pair.jsonPoint.imageX,
+            imageY: pair.jsonPoint.imageY,
+            lat: pair.gpsPoint.lat,
+            lng: pair.gpsPoint.lng
+        };
+    }
+
+    // 相似変換・アフィン変換を画像に適用
+    applyImageTransform(transform) {
+        this.imageOverlay.setImageTransform(transform);
+        
+        // 画像調整後にポイント位置を強制的に更新
+        setTimeout(() => {
+            this.updatePointPositions();
+        }, 100);
     }
 
     // 最小二乗法による最適パラメータ計算
@@ -532,14 +901,7 @@ export class PointOverlay {
 
     // 2点間の距離を計算（km単位）
     calculateDistance(lat1, lng1, lat2, lng2) {
-        const R = 6371; // 地球の半径（km）
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLng = (lng2 - lng1) * Math.PI / 180;
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                  Math.sin(dLng/2) * Math.sin(dLng/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c;
+        return calculateDistanceInMeters(lat1, lng1, lat2, lng2) / 1000;
     }
 
     // 画像調整を適用
@@ -550,9 +912,9 @@ export class PointOverlay {
             return;
         }
 
-
-        // 新しいスケールを設定
+        // 中心＋縮尺による表示に戻し（回転・せん断の変換を解除）、新しいスケールを設定
         if (this.imageOverlay && isFinite(newScale)) {
+            this.imageOverlay.setImageTransform(null);
             this.imageOverlay.setCurrentScale(newScale);
         }
         
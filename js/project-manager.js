@@ -0,0 +1,177 @@
+// 作業状態（画像・GPS・ポイントJSON・位置合わせ・ルート・表示設定）をひとつのプロジェクトファイルで保存・復元するモジュール
+import { FileHandler } from './file-handler.js';
+import { errorHandler } from './utils/error-handler.js';
+
+const PROJECT_FORMAT = 'TrailMapperProject';
+const PROJECT_VERSION = 1;
+
+export class ProjectManager {
+    // modules: { imageOverlay, georeferenceStore, gpsData, pointOverlay, pointEditor, routeEditor, modeSwitcher, historyManager }
+    constructor(modules) {
+        this.modules = modules;
+        this.fileHandler = new FileHandler();
+        this.projectSavedCallbacks = [];
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const saveProjectBtn = document.getElementById('saveProjectBtn');
+        const loadProjectBtn = document.getElementById('loadProjectBtn');
+        const projectFileInput = document.getElementById('projectFileInput');
+
+        if (saveProjectBtn) {
+            saveProjectBtn.addEventListener('click', () => this.saveProject());
+        }
+
+        if (loadProjectBtn && projectFileInput) {
+            loadProjectBtn.addEventListener('click', () => {
+                projectFileInput.click();
+            });
+
+            projectFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadProjectFile(file);
+                }
+                // 同じファイルを再度選択できるようにリセット
+                e.target.value = '';
+            });
+        }
+    }
+
+    // 現在の作業状態からプロジェクトデータを作成
+    createProjectData() {
+        const { imageOverlay, georeferenceStore, gpsData, pointOverlay, routeEditor, modeSwitcher } = this.modules;
+
+        const imageDataUrl = imageOverlay.getImageDataUrl();
+        const image = imageDataUrl
+            ? {
+                fileName: imageOverlay.getCurrentImageInfo().fileName,
+                dataUrl: imageDataUrl,
+                opacity: Math.round(imageOverlay.getDisplayOpacity() * 100)
+            }
+            : null;
+
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            mode: modeSwitcher.getCurrentMode(),
+            image,
+            georeference: image ? georeferenceStore.createSidecarData() : null,
+            gps: gpsData.getPointsState(),
+            points: pointOverlay.getState(),
+            routes: routeEditor.getRoutesState()
+        };
+    }
+
+    // プロジェクトファイルを保存
+    async saveProject() {
+        try {
+            const projectData = this.createProjectData();
+            const result = await this.fileHandler.saveJSONWithUserChoice(projectData, this.generateProjectFilename(projectData));
+
+            if (result.success) {
+                this.notifyProjectSaved();
+                errorHandler.showSuccess('保存完了', `プロジェクトを保存しました。\nファイル名: ${result.filename}`);
+            } else if (result.error !== 'キャンセル') {
+                errorHandler.showError('保存エラー', result.error);
+            }
+        } catch (error) {
+            errorHandler.showError('保存エラー', `プロジェクトの保存に失敗しました: ${error.message}`);
+        }
+    }
+
+    // プロジェクトファイルを読み込んで作業状態を復元
+    async loadProjectFile(file) {
+        try {
+            const projectData = await this.fileHandler.loadJsonFile(file);
+            if (!projectData || projectData.format !== PROJECT_FORMAT) {
+                throw new Error('プロジェクトファイルではありません');
+            }
+            if (projectData.version > PROJECT_VERSION) {
+                throw new Error('新しいバージョンで保存されたプロジェクトファイルです');
+            }
+
+            await this.restoreProject(projectData);
+            errorHandler.showSuccess('読み込み完了', `プロジェクトを読み込みました。\nファイル名: ${file.name}`);
+        } catch (error) {
+            errorHandler.showError('読み込みエラー', `プロジェクトの読み込みに失敗しました: ${error.message}`);
+        }
+    }
+
+    // 作業状態を復元（画像 → 位置合わせ → GPS → ポイントJSON → ルート → モードの順）
+    async restoreProject(projectData) {
+        const { imageOverlay, georeferenceStore, gpsData, pointOverlay, pointEditor, routeEditor, modeSwitcher, historyManager } = this.modules;
+
+        // ポイント・ルートは画像座標から配置するため、先に画像と位置合わせを復元する
+        if (projectData.image && projectData.image.dataUrl) {
+            const imageFile = await this.dataUrlToFile(projectData.image.dataUrl, projectData.image.fileName || 'image.png');
+            await imageOverlay.loadImage(imageFile);
+            this.restoreOpacity(projectData.image.opacity);
+
+            const georeferenceState = georeferenceStore.parseSidecarData(projectData.georeference);
+            if (georeferenceState) {
+                imageOverlay.applyGeoreferenceState(georeferenceState);
+            }
+        } else {
+            imageOverlay.clearImage();
+        }
+
+        gpsData.restorePointsState(projectData.gps);
+        if (pointEditor) {
+            pointEditor.refreshExistingMarkerEvents();
+            pointEditor.updatePointCountField();
+        }
+
+        pointOverlay.restoreState(projectData.points);
+        routeEditor.restoreRoutesState(projectData.routes);
+
+        if (projectData.mode) {
+            modeSwitcher.setMode(projectData.mode);
+        }
+
+        // 復元前の操作は復元後の状態に適用できないため履歴を破棄
+        if (historyManager) {
+            historyManager.reset();
+        }
+    }
+
+    // プロジェクトファイル保存時のコールバックを登録
+    addProjectSavedCallback(callback) {
+        this.projectSavedCallbacks.push(callback);
+    }
+
+    notifyProjectSaved() {
+        this.projectSavedCallbacks.forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                // コールバックの失敗で保存結果の通知を妨げない
+            }
+        });
+    }
+
+    // 透過度を復元
+    restoreOpacity(opacity) {
+        const opacityInput = document.getElementById('opacityInput');
+        if (opacityInput && typeof opacity === 'number') {
+            opacityInput.value = opacity.toString();
+            this.modules.imageOverlay.updateOpacity();
+        }
+    }
+
+    // Data URLをFileに変換（画像読み込み処理を共通化するため）
+    async dataUrlToFile(dataUrl, fileName) {
+        const response = await fetch(dataUrl);
+        const blob = await response.blob();
+        return new File([blob], fileName, { type: blob.type || 'image/png' });
+    }
+
+    // プロジェクトファイル名を生成
+    generateProjectFilename(projectData) {
+        const imageFileName = projectData.image ? projectData.image.fileName : null;
+        const baseName = imageFileName ? imageFileName.replace(/\.[^/.]+$/, '') : 'trailmapper';
+        return `${baseName}_project.json`;
+    }
+}
@@ -1,5 +1,6 @@
 // ルートデータ管理と保存機能を専門に扱うモジュール
 import { FileHandler } from './file-handler.js';
+import { CONFIG } from './constants.js';
 
 export class RouteDataManager {
     constructor(imageOverlay, gpsData) {
@@ -165,9 +166,10 @@ export class RouteDataManager {
             }
         }
         
-        // startPointとendPointがGPSポイントに一致するかチェック
-        if (this.gpsData && this.gpsData.gpsPoints) {
-            const gpsPointIds = this.gpsData.gpsPoints.map(point => point.id);
+        // startPointとendPointがGPSポイントに一致するかチェック（GPSポイント読み込み済みの場合）
+        const gpsMarkers = this.gpsData ? this.gpsData.getGPSMarkers() : [];
+        if (gpsMarkers.length > 0) {
+            const gpsPointIds = gpsMarkers.map(marker => marker.id);
             
             if (startPoint && !gpsPointIds.includes(startPoint)) {
                 warnings.push(`startPoint "${startPoint}" がGPSポイントに見つかりません。`);
@@ -206,15 +208,15 @@ export class RouteDataManager {
         }
     }
 
-    // 選択されているルートを保存する機能
-    async saveSelectedRoute(selectedRoute) {
+    // 選択されているルートを保存する機能（hikingTime: 推定歩行時間。ない場合はnull）
+    async saveSelectedRoute(selectedRoute, hikingTime = null) {
         if (!selectedRoute) {
             throw new Error('ルートを選択してください。');
         }
 
         try {
             // 保存用データの準備
-            const saveData = this.prepareSaveData(selectedRoute);
+            const saveData = this.prepareSaveData(selectedRoute, hikingTime);
             
             // ファイル名の生成（仕様に従う）
             const filename = this.generateSaveFilename(selectedRoute);
@@ -241,8 +243,58 @@ export class RouteDataManager {
         }
     }
 
+    // 編集済み（isEdited）のルートをすべて保存する機能
+    // 保存先のフォルダを一度だけ選択し、各ルートを個別のJSONファイルとして書き込む（未対応の場合はZIP）
+    // hikingTimes: ルート → 推定歩行時間 のMap
+    async saveEditedRoutes(hikingTimes = new Map()) {
+        const editedRoutes = this.loadedRoutes.filter(route => route.isEdited === true);
+        if (editedRoutes.length === 0) {
+            throw new Error('編集されたルートがありません。');
+        }
+
+        const files = editedRoutes.map(route => ({
+            route,
+            filename: this.generateSaveFilename(route),
+            blob: new Blob([JSON.stringify(this.prepareSaveData(route, hikingTimes.get(route)), null, 2)], { type: 'application/json' })
+        }));
+
+        const result = await this.fileHandler.saveFilesWithUserChoice(files, this.generateZipFilename());
+
+        if (!result.success) {
+            return result.error === 'キャンセル'
+                ? { success: false, cancelled: true }
+                : { success: false, error: result.error || '保存に失敗しました。' };
+        }
+
+        // 書き込めたルートのみ編集状態をクリア
+        files.forEach(file => {
+            if (result.filenames.includes(file.filename)) {
+                file.route.isEdited = false;
+            }
+        });
+
+        return {
+            success: true,
+            method: result.method,
+            location: result.location,
+            filenames: result.filenames,
+            failed: result.failed
+        };
+    }
+
+    // 一括保存用ZIPファイル名の生成
+    generateZipFilename() {
+        let imageFileName = this.imageOverlay.currentImageFileName || 'unknown';
+
+        if (imageFileName.toLowerCase().endsWith('.png')) {
+            imageFileName = imageFileName.slice(0, -4);
+        }
+
+        return `${imageFileName}_routes.zip`;
+    }
+
     // 保存用データを準備（サンプルファイル形式に従って保存）
-    prepareSaveData(routeData) {
+    prepareSaveData(routeData, hikingTime = null) {
         const wayPoint = this.getWaypoints(routeData);
         
         if (!wayPoint || !Array.isArray(wayPoint)) {
@@ -255,18 +307,33 @@ export class RouteDataManager {
             routeInfo: {
                 startPoint: startPoint || '',
                 endPoint: endPoint || '',
-                waypointCount: wayPoint.length
+                waypointCount: wayPoint.length,
+                // 推定歩行時間（分）。往路 = startPoint → endPoint、復路 = endPoint → startPoint
+                ...(hikingTime ? {
+                    hikingTime: {
+                        model: hikingTime.model,
+                        forwardMinutes: hikingTime.forwardMinutes,
+                        reverseMinutes: hikingTime.reverseMinutes
+                    }
+                } : {})
             },
             imageReference: this.imageOverlay.currentImageFileName || '',
             imageInfo: {
                 width: this.imageOverlay.getImageDimensions?.()?.width || 726,
                 height: this.imageOverlay.getImageDimensions?.()?.height || 624
             },
+            // 緯度経度を持つ中間点は lat, lng も出力（画像を読み込まずに編集した中間点は画像座標なし）
             points: wayPoint.map((point, arrayIndex) => ({
                 type: point.type || "waypoint",
                 index: point.index !== undefined ? point.index : arrayIndex + 1,
-                imageX: Math.round(point.imageX || 0),
-                imageY: Math.round(point.imageY || 0)
+                ...(typeof point.imageX === 'number' || typeof point.lat !== 'number' ? {
+                    imageX: Math.round(point.imageX || 0),
+                    imageY: Math.round(point.imageY || 0)
+                } : {}),
+                ...(typeof point.lat === 'number' && typeof point.lng === 'number' ? {
+                    lat: point.lat,
+                    lng: point.lng
+                } : {})
             })),
             exportedAt: new Date().toISOString()
         };
@@ -288,11 +355,303 @@ export class RouteDataManager {
         return `${imageFileName}_route_${startPoint || 'start'}_to_${endPoint || 'end'}.json`;
     }
 
+    // ルートをGeoJSON形式で保存する機能
+    // getRouteGeometry(route) は { coordinates: [[lat, lng], ...], length: メートル } または null を返す
+    // hikingTimes: ルート → 推定歩行時間 のMap
+    async saveRoutesAsGeoJSON(routes, getRouteGeometry, hikingTimes = new Map()) {
+        if (!routes || routes.length === 0) {
+            throw new Error('出力するルートがありません。');
+        }
+
+        try {
+            const { geoJsonData, skippedRoutes } = this.prepareGeoJSONData(routes, getRouteGeometry, hikingTimes);
+            const filename = this.generateGeoJSONFilename();
+
+            const result = await this.fileHandler.saveJSONWithUserChoice(geoJsonData, filename, CONFIG.SAVE_FILE_TYPES.GEOJSON);
+
+            if (result.success) {
+                return {
+                    success: true,
+                    filename: result.filename || filename,
+                    featureCount: geoJsonData.features.length,
+                    skippedRoutes
+                };
+            } else if (result.error === 'キャンセル') {
+                return { success: false, cancelled: true };
+            } else {
+                return { success: false, error: result.error || '保存に失敗しました。' };
+            }
+
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // GeoJSON保存用データを準備（各ルートを開始GPS → 中間点 → 終了GPSのLineStringとする）
+    prepareGeoJSONData(routes, getRouteGeometry, hikingTimes = new Map()) {
+        const features = [];
+        const skippedRoutes = [];
+
+        routes.forEach(route => {
+            const { startPoint, endPoint } = this.getRoutePoints(route);
+            const geometry = getRouteGeometry(route);
+
+            if (!geometry || !geometry.coordinates || geometry.coordinates.length < 2) {
+                skippedRoutes.push(`${startPoint} ～ ${endPoint}`);
+                return;
+            }
+
+            const hikingTime = hikingTimes.get(route);
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    // GeoJSONの座標順は [経度, 緯度]
+                    coordinates: geometry.coordinates.map(([lat, lng]) => [lng, lat])
+                },
+                properties: {
+                    startPoint: startPoint || '',
+                    endPoint: endPoint || '',
+                    waypointCount: this.getWaypoints(route).length,
+                    length: Math.round(geometry.length * 10) / 10,
+                    imageReference: route.imageReference || this.imageOverlay.currentImageFileName || '',
+                    ...(hikingTime ? {
+                        hikingTimeModel: hikingTime.model,
+                        hikingTimeForward: hikingTime.forwardMinutes,
+                        hikingTimeReverse: hikingTime.reverseMinutes
+                    } : {})
+                }
+            });
+        });
+
+        if (features.length === 0) {
+            throw new Error('開始・終了ポイントのGPS値が見つかるルートがありません。');
+        }
+
+        return {
+            geoJsonData: {
+                type: 'FeatureCollection',
+                features
+            },
+            skippedRoutes
+        };
+    }
+
+    // GeoJSONファイル名の生成
+    generateGeoJSONFilename() {
+        let imageFileName = this.imageOverlay.currentImageFileName || 'unknown';
+
+        if (imageFileName.toLowerCase().endsWith('.png')) {
+            imageFileName = imageFileName.slice(0, -4);
+        }
+
+        return `${imageFileName}_routes.geojson`;
+    }
+
     // 読み込まれたルート一覧を取得
     getLoadedRoutes() {
         return this.loadedRoutes;
     }
 
+    // 開始・終了ポイントを指定して中間点のない新しいルートを作成
+    // 読み込み時と同じ検証を行い、開始=終了や既存ルートとの重複はエラーとする
+    createRoute(startPoint, endPoint) {
+        const routeData = {
+            routeInfo: {
+                startPoint,
+                endPoint,
+                waypointCount: 0
+            },
+            imageReference: this.imageOverlay.currentImageFileName || '',
+            points: []
+        };
+
+        const validationResult = this.validateRouteJSON(routeData);
+        const blockingWarnings = validationResult.warnings.filter(warning =>
+            warning.includes('既に読み込まれています') || warning.includes('が同じです')
+        );
+        if (blockingWarnings.length > 0) {
+            throw new Error(blockingWarnings.join('\n'));
+        }
+
+        this.addRoute(routeData);
+        // 未保存のルートとして扱う
+        routeData.isEdited = true;
+        return routeData;
+    }
+
+    // ルートの向きを反転（開始・終了ポイントを入れ替え、中間点の順序を逆にしてindexを振り直す）
+    // 反転後と同じ向きのルートが既にある場合はエラーとする
+    reverseRoute(routeData) {
+        const { startPoint, endPoint } = this.getRoutePoints(routeData);
+        const existingRoute = this.findExistingRoute(endPoint, startPoint);
+        if (existingRoute && existingRoute !== routeData) {
+            throw new Error(`${endPoint} ～ ${startPoint} のルートは既に読み込まれています。`);
+        }
+
+        // 開始・終了ポイントはデータ形式ごとに異なるキーで保持されているため、存在するものをすべて入れ替える
+        const swapKeys = (target, startKey, endKey) => {
+            if (target && (target[startKey] !== undefined || target[endKey] !== undefined)) {
+                [target[startKey], target[endKey]] = [target[endKey], target[startKey]];
+            }
+        };
+        swapKeys(routeData, 'startPoint', 'endPoint');
+        swapKeys(routeData, 'start', 'end');
+        swapKeys(routeData, 'startPointId', 'endPointId');
+        swapKeys(routeData.routeInfo, 'startPoint', 'endPoint');
+
+        const wayPoints = this.getWaypoints(routeData);
+        if (Array.isArray(wayPoints)) {
+            const reversedWayPoints = [...wayPoints]
+                .sort((a, b) => (a.index || 0) - (b.index || 0))
+                .reverse();
+            reversedWayPoints.forEach((point, arrayIndex) => {
+                point.index = arrayIndex + 1;
+            });
+            this.updateWaypointsInRoute(routeData, reversedWayPoints);
+        }
+
+        this.updateRouteData(routeData);
+        return routeData;
+    }
+
+    // 中間点でルートを分割できるか検査（分岐点のID、分割後のルートの重複）
+    validateRouteSplit(routeData, junctionPointId) {
+        const { startPoint, endPoint } = this.getRoutePoints(routeData);
+        if (junctionPointId === startPoint || junctionPointId === endPoint) {
+            throw new Error(`分岐点のID「${junctionPointId}」が開始・終了ポイントと同じです。`);
+        }
+
+        [[startPoint, junctionPointId], [junctionPointId, endPoint]].forEach(([from, to]) => {
+            if (this.findExistingRoute(from, to)) {
+                throw new Error(`${from} ～ ${to} のルートは既に読み込まれています。`);
+            }
+        });
+    }
+
+    // 中間点でルートを分割（開始→分岐点、分岐点→終了 の2ルートを作成し、元のルートは削除）
+    // 分岐点となる中間点はどちらのルートにも含めない。戻り値: [前半のルート, 後半のルート]
+    splitRoute(routeData, splitWaypoint, junctionPointId) {
+        this.validateRouteSplit(routeData, junctionPointId);
+
+        const sortedWayPoints = [...this.getWaypoints(routeData)].sort((a, b) => (a.index || 0) - (b.index || 0));
+        const splitPosition = sortedWayPoints.indexOf(splitWaypoint);
+        if (splitPosition === -1) {
+            throw new Error('分割する中間点がルートに含まれていません。');
+        }
+
+        const { startPoint, endPoint } = this.getRoutePoints(routeData);
+        const createPart = (partStart, partEnd, wayPoints) => {
+            const points = wayPoints.map((point, arrayIndex) => ({ ...point, index: arrayIndex + 1 }));
+            const part = {
+                routeInfo: {
+                    startPoint: partStart,
+                    endPoint: partEnd,
+                    waypointCount: points.length
+                },
+                imageReference: routeData.imageReference || this.imageOverlay.currentImageFileName || '',
+                points
+            };
+            this.addRoute(part);
+            // 未保存のルートとして扱う
+            part.isEdited = true;
+            return part;
+        };
+
+        this.removeRoute(routeData);
+        return [
+            createPart(startPoint, junctionPointId, sortedWayPoints.slice(0, splitPosition)),
+            createPart(junctionPointId, endPoint, sortedWayPoints.slice(splitPosition + 1))
+        ];
+    }
+
+    // 指定ルートと開始・終了ポイントを共有する（結合できる）ルートを取得
+    // 戻り値: [{ route, junctionPointId: 共有するポイントID }]。結合すると開始=終了になるルートは除く
+    findAdjacentRoutes(routeData) {
+        const { startPoint, endPoint } = this.getRoutePoints(routeData);
+        const adjacentRoutes = [];
+
+        this.loadedRoutes.forEach(route => {
+            if (route === routeData) return;
+
+            const points = this.getRoutePoints(route);
+            [startPoint, endPoint].forEach(junctionPointId => {
+                if (points.startPoint !== junctionPointId && points.endPoint !== junctionPointId) return;
+
+                const ownOther = junctionPointId === startPoint ? endPoint : startPoint;
+                const otherOther = junctionPointId === points.startPoint ? points.endPoint : points.startPoint;
+                if (ownOther !== otherOther) {
+                    adjacentRoutes.push({ route, junctionPointId });
+                }
+            });
+        });
+
+        return adjacentRoutes;
+    }
+
+    // 分岐点で接する2つのルートを1つに結合（前半: ○→分岐点、後半: 分岐点→○ の向きにそろえる）
+    // junctionWaypoint: 分岐点の位置を表す中間点 { imageX, imageY, lat, lng }。結合後のルートを返す
+    mergeRoutes(firstRoute, secondRoute, junctionPointId, junctionWaypoint) {
+        // 分岐点で終わる（始まる）向きの中間点列を取得
+        const orient = (routeData, shouldEndAtJunction) => {
+            const { startPoint, endPoint } = this.getRoutePoints(routeData);
+            if (startPoint !== junctionPointId && endPoint !== junctionPointId) {
+                throw new Error(`${startPoint} ～ ${endPoint} は ${junctionPointId} に接していません。`);
+            }
+
+            const sortedWayPoints = [...this.getWaypoints(routeData)].sort((a, b) => (a.index || 0) - (b.index || 0));
+            const endsAtJunction = endPoint === junctionPointId;
+            return {
+                otherPoint: endsAtJunction ? startPoint : endPoint,
+                wayPoints: endsAtJunction === shouldEndAtJunction ? sortedWayPoints : sortedWayPoints.reverse()
+            };
+        };
+
+        const first = orient(firstRoute, true);
+        const second = orient(secondRoute, false);
+
+        if (first.otherPoint === second.otherPoint) {
+            throw new Error(`結合すると開始ポイントと終了ポイントが同じ（${first.otherPoint}）になります。`);
+        }
+        if (this.findExistingRoute(first.otherPoint, second.otherPoint)) {
+            throw new Error(`${first.otherPoint} ～ ${second.otherPoint} のルートは既に読み込まれています。`);
+        }
+
+        const points = [
+            ...first.wayPoints,
+            { type: 'waypoint', index: 0, ...junctionWaypoint },
+            ...second.wayPoints
+        ].map((point, arrayIndex) => ({ ...point, index: arrayIndex + 1 }));
+
+        const mergedRoute = {
+            routeInfo: {
+                startPoint: first.otherPoint,
+                endPoint: second.otherPoint,
+                waypointCount: points.length
+            },
+            imageReference: firstRoute.imageReference || this.imageOverlay.currentImageFileName || '',
+            points
+        };
+
+        this.removeRoute(firstRoute);
+        this.removeRoute(secondRoute);
+        this.addRoute(mergedRoute);
+        this.updateRouteData(mergedRoute);
+        return mergedRoute;
+    }
+
+    // ルートを追加（プロジェクト読み込み時など、ファイルを介さない場合）
+    addRoute(routeData) {
+        this.initializeWaypointData(routeData);
+        this.loadedRoutes.push(routeData);
+    }
+
+    // ルートデータの複製を作成（読み込み時の検証警告は除く）
+    cloneRouteData(routeData) {
+        const { _validationWarnings, ...data } = routeData;
+        return JSON.parse(JSON.stringify(data));
+    }
+
     // ルートを削除
     removeRoute(routeData) {
         const routeIndex = this.loadedRoutes.findIndex(route => route === routeData);
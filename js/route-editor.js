@@ -1,7 +1,16 @@
 // ルート編集機能のメインコントローラー（リファクタリング版）
-import { RouteWaypointManager } from './route-waypoint-manager.js';
+import { RouteWaypointManager, WAYPOINT_ANCHOR_MODES } from './route-waypoint-manager.js';
 import { RouteOptimizer } from './route-optimizer.js';
 import { RouteDataManager } from './route-data-manager.js';
+import { RouteNetwork } from './route-network.js';
+import { DemTileElevationProvider } from './elevation-provider.js';
+import { ElevationProfile } from './elevation-profile.js';
+import { HikingTimeEstimator, HIKING_TIME_MODEL_DEFINITIONS } from './hiking-time-estimator.js';
+import { TrailTracer } from './trail-tracer.js';
+import { SnapshotHistory } from './history-manager.js';
+import { Validators } from './validators.js';
+import { errorHandler } from './utils/error-handler.js';
+import { CONFIG } from './constants.js';
 
 export class RouteEditor {
     constructor(map, imageOverlay, gpsData) {
@@ -9,14 +18,67 @@ export class RouteEditor {
         this.imageOverlay = imageOverlay;
         this.gpsData = gpsData;
         this.selectedActionButton = null;
+        // 新規ルート作成モード（GPSポイントのクリックで開始・終了ポイントを指定）
+        this.isNewRouteMode = false;
+        this.pendingStartPoint = null;
+        this.gpsClickHandlers = [];
         
         // 専門クラスのインスタンス化
         this.waypointManager = new RouteWaypointManager(map, imageOverlay, gpsData);
         this.optimizer = new RouteOptimizer(map, gpsData);
         this.dataManager = new RouteDataManager(imageOverlay, gpsData);
+        this.routeNetwork = new RouteNetwork(map);
+        this.elevationProfile = new ElevationProfile(DemTileElevationProvider.fromStoredSettings());
+        this.hikingTimeEstimator = new HikingTimeEstimator();
+        this.hikingTimeRequestId = 0;
+        // GPSポイントを追加した時のコールバック（ルート分割で分岐点を作成した場合）
+        this.gpsPointAddedCallback = null;
+        // 選択中のルートと結合できるルート（結合先ドロップダウンの項目）
+        this.mergeCandidates = [];
+        // 線のトレース（'color': スポイトで線の色を取得、'endpoints': 始点・終点を指定）
+        this.trailTracer = new TrailTracer();
+        this.currentTrace = null; // 実行中のトレース { route: トレースを開始したルート }
+        this.traceMode = null;
+        this.traceEndpoints = [];
         
         this.elements = this.getUIElements();
+        this.history = new SnapshotHistory(
+            () => this.getRoutesState(),
+            (state) => this.restoreRoutesState(state)
+        );
         this.setupEventHandlers();
+
+        // 画像の位置合わせが変わった場合、画像座標基準の中間点と経路線を描き直す
+        if (this.imageOverlay) {
+            this.imageOverlay.addImageUpdateCallback(() => {
+                this.refreshRouteDisplay();
+            });
+        }
+    }
+
+    // GPSポイント追加時のコールバックを設定（ポイント編集側のマーカーイベント・履歴の更新用）
+    setGpsPointAddedCallback(callback) {
+        this.gpsPointAddedCallback = callback;
+    }
+
+    // 操作履歴を設定
+    setHistoryManager(historyManager) {
+        this.historyManager = historyManager;
+        this.history.setHistoryManager(historyManager);
+    }
+
+    // ルートの変更を操作履歴に記録
+    recordHistory(label) {
+        this.history.commit(label);
+    }
+
+    // fn の中で記録された他のモジュールの変更も含めて、1つの操作として履歴に記録
+    recordHistoryGroup(label, fn) {
+        if (this.historyManager) {
+            this.historyManager.recordGroup(label, fn);
+        } else {
+            fn();
+        }
     }
 
     // UI要素を取得する共通メソッド
@@ -24,14 +86,46 @@ export class RouteEditor {
         return {
             loadRouteJsonBtn: document.getElementById('loadRouteJsonBtn'),
             routeJsonInput: document.getElementById('routeJsonInput'),
+            newRouteBtn: document.getElementById('newRouteBtn'),
+            newRouteHint: document.getElementById('newRouteHint'),
             routeSelect: document.getElementById('routeSelect'),
             addRouteBtn: document.getElementById('addRouteBtn'),
             moveRouteBtn: document.getElementById('moveRouteBtn'),
             deleteRouteBtn: document.getElementById('deleteRouteBtn'),
+            splitRouteBtn: document.getElementById('splitRouteBtn'),
+            mergeRouteSelect: document.getElementById('mergeRouteSelect'),
+            mergeRouteBtn: document.getElementById('mergeRouteBtn'),
             clearRouteBtn: document.getElementById('clearRouteBtn'),
             saveRouteBtn: document.getElementById('saveRouteBtn'),
+            saveAllRoutesBtn: document.getElementById('saveAllRoutesBtn'),
             optimizeRouteBtn: document.getElementById('optimizeRouteBtn'),
-            saveGeoJsonRouteBtn: document.getElementById('saveGeoJsonRouteBtn')
+            reverseRouteBtn: document.getElementById('reverseRouteBtn'),
+            saveGeoJsonRouteBtn: document.getElementById('saveGeoJsonRouteBtn'),
+            pathFromInput: document.getElementById('pathFromInput'),
+            pathToInput: document.getElementById('pathToInput'),
+            gpsPointIdList: document.getElementById('gpsPointIdList'),
+            findPathBtn: document.getElementById('findPathBtn'),
+            clearPathBtn: document.getElementById('clearPathBtn'),
+            pathResult: document.getElementById('pathResult'),
+            checkNetworkBtn: document.getElementById('checkNetworkBtn'),
+            networkIssueList: document.getElementById('networkIssueList'),
+            elevationProfileBtn: document.getElementById('elevationProfileBtn'),
+            elevationProfileCanvas: document.getElementById('elevationProfileCanvas'),
+            elevationStats: document.getElementById('elevationStats'),
+            demUrlInput: document.getElementById('demUrlInput'),
+            demZoomInput: document.getElementById('demZoomInput'),
+            saveDemSettingsBtn: document.getElementById('saveDemSettingsBtn'),
+            resetDemSettingsBtn: document.getElementById('resetDemSettingsBtn'),
+            hikingTimeField: document.getElementById('hikingTimeField'),
+            hikingTimeModelSelect: document.getElementById('hikingTimeModelSelect'),
+            hikingTimeParams: document.getElementById('hikingTimeParams'),
+            waypointAnchorCheckbox: document.getElementById('waypointAnchorCheckbox'),
+            traceColorInput: document.getElementById('traceColorInput'),
+            pickTraceColorBtn: document.getElementById('pickTraceColorBtn'),
+            traceToleranceInput: document.getElementById('traceToleranceInput'),
+            traceRouteBtn: document.getElementById('traceRouteBtn'),
+            cancelTraceBtn: document.getElementById('cancelTraceBtn'),
+            traceStatus: document.getElementById('traceStatus')
         };
     }
 
@@ -47,6 +141,12 @@ export class RouteEditor {
 
     setupEventHandlers() {
         this.setupFileHandlers();
+        this.setupNewRouteHandlers();
+        this.setupShortestPathHandlers();
+        this.setupElevationProfileHandlers();
+        this.setupHikingTimeHandlers();
+        this.setupWaypointAnchorHandlers();
+        this.setupTrailTraceHandlers();
         this.setupRouteActionButtons();
         this.setupMapEventHandlers();
     }
@@ -71,11 +171,715 @@ export class RouteEditor {
         }
         
         if (routeSelect) {
-            routeSelect.addEventListener('change', () => {
-                this.clearActionButtonSelection();
-                this.onRouteSelectionChange();
+            routeSelect.addEventListener('change', () => this.handleRouteSelectChange());
+        }
+    }
+
+    // ドロップダウンでルートの選択を変えたときの処理（編集中の操作を終了して表示を切り替える）
+    handleRouteSelectChange() {
+        this.stopNewRouteMode();
+        this.stopTraceMode();
+        this.clearActionButtonSelection();
+        this.onRouteSelectionChange();
+        // ルートの選択変更は履歴に含めない
+        this.history.resetBaseline();
+    }
+
+    // 新規ルート作成のイベントハンドラー設定
+    setupNewRouteHandlers() {
+        const { newRouteBtn } = this.elements;
+
+        if (newRouteBtn) {
+            newRouteBtn.addEventListener('click', () => {
+                if (this.isNewRouteMode) {
+                    this.stopNewRouteMode();
+                } else {
+                    this.startNewRouteMode();
+                }
+            });
+        }
+    }
+
+    // 新規ルート作成モードを開始（GPSマーカーのクリックを受け付ける）
+    startNewRouteMode() {
+        const gpsMarkers = this.gpsData ? this.gpsData.getGPSMarkers() : [];
+        if (gpsMarkers.length < 2) {
+            this.showMessage('error', 'ルート作成エラー', '開始・終了ポイントを指定するため、2つ以上のGPSポイントを読み込んでください。');
+            return;
+        }
+
+        this.clearActionButtonSelection();
+        this.isNewRouteMode = true;
+        this.pendingStartPoint = null;
+
+        gpsMarkers.forEach(gpsMarker => {
+            const handler = () => {
+                this.handleNewRouteGpsClick(gpsMarker.id, gpsMarker.marker);
+            };
+            gpsMarker.marker.on('click', handler);
+            this.gpsClickHandlers.push({ marker: gpsMarker.marker, handler });
+        });
+
+        this.updateNewRouteUI();
+    }
+
+    // 新規ルート作成モードを終了
+    stopNewRouteMode() {
+        if (!this.isNewRouteMode) {
+            return;
+        }
+
+        this.gpsClickHandlers.forEach(({ marker, handler }) => {
+            marker.off('click', handler);
+        });
+        this.gpsClickHandlers = [];
+        this.isNewRouteMode = false;
+        this.pendingStartPoint = null;
+        this.updateNewRouteUI();
+    }
+
+    // GPSマーカーのクリック（1つ目で開始ポイント、2つ目で終了ポイントを指定してルートを作成）
+    handleNewRouteGpsClick(pointId, marker) {
+        if (!this.isNewRouteMode) {
+            return;
+        }
+
+        marker.closePopup();
+
+        if (!pointId) {
+            this.showMessage('warning', 'ルート作成', 'IDのないGPSポイントは指定できません。');
+            return;
+        }
+
+        if (!this.pendingStartPoint) {
+            this.pendingStartPoint = pointId;
+            this.updateNewRouteUI();
+            return;
+        }
+
+        const startPoint = this.pendingStartPoint;
+        try {
+            this.createNewRoute(startPoint, pointId);
+        } catch (error) {
+            // 開始ポイントの指定からやり直す
+            this.pendingStartPoint = null;
+            this.updateNewRouteUI();
+            this.showMessage('error', 'ルート作成エラー', error.message);
+        }
+    }
+
+    // 新しいルートを作成して選択し、中間点の追加を開始
+    createNewRoute(startPoint, endPoint) {
+        const routeData = this.dataManager.createRoute(startPoint, endPoint);
+
+        this.stopNewRouteMode();
+
+        const optionValue = this.createRouteOptionValue(routeData, true);
+        this.addRouteOption(optionValue);
+        this.elements.routeSelect.value = optionValue;
+        this.onRouteSelectionChange();
+        this.recordHistory('ルート作成');
+
+        // 続けて地図クリックで中間点を追加できるようにする
+        if (this.elements.addRouteBtn) {
+            this.toggleActionButton('add', this.elements.addRouteBtn);
+        }
+        if (this.elements.newRouteHint) {
+            this.elements.newRouteHint.textContent = `${startPoint} ～ ${endPoint} を作成しました。地図をクリックして中間点を追加`;
+        }
+
+        return routeData;
+    }
+
+    updateNewRouteUI() {
+        const { newRouteBtn, newRouteHint } = this.elements;
+
+        if (newRouteBtn) {
+            newRouteBtn.classList.toggle('active', this.isNewRouteMode);
+            newRouteBtn.textContent = this.isNewRouteMode ? '新規ルート作成中止' : '新規ルート作成';
+        }
+
+        if (newRouteHint) {
+            if (!this.isNewRouteMode) {
+                newRouteHint.textContent = '';
+            } else if (this.pendingStartPoint) {
+                newRouteHint.textContent = `${this.pendingStartPoint} から：終了ポイント（緑の三角）をクリック`;
+            } else {
+                newRouteHint.textContent = '開始ポイント（緑の三角）をクリック';
+            }
+        }
+    }
+
+    // 最短経路検索のイベントハンドラー設定
+    setupShortestPathHandlers() {
+        const { pathFromInput, pathToInput, findPathBtn, clearPathBtn } = this.elements;
+
+        // 入力候補として現在のGPSポイントIDを表示
+        [pathFromInput, pathToInput].forEach(input => {
+            if (input) {
+                input.addEventListener('focus', () => this.updateGpsPointIdList());
+            }
+        });
+
+        if (findPathBtn) {
+            findPathBtn.addEventListener('click', () => this.findShortestPath());
+        }
+
+        if (clearPathBtn) {
+            clearPathBtn.addEventListener('click', () => this.clearShortestPath());
+        }
+
+        if (this.elements.checkNetworkBtn) {
+            this.elements.checkNetworkBtn.addEventListener('click', () => this.checkNetworkIntegrity());
+        }
+    }
+
+    updateGpsPointIdList() {
+        const { gpsPointIdList } = this.elements;
+        if (!gpsPointIdList || !this.gpsData) return;
+
+        gpsPointIdList.innerHTML = '';
+        this.gpsData.getGPSMarkers()
+            .map(marker => marker.id)
+            .filter(id => id)
+            .sort()
+            .forEach(id => {
+                const option = document.createElement('option');
+                option.value = id;
+                gpsPointIdList.appendChild(option);
+            });
+    }
+
+    // 読み込み済みルートのネットワークから2点間の最短経路を検索して表示
+    findShortestPath() {
+        const { pathFromInput, pathToInput, pathResult } = this.elements;
+        const fromId = pathFromInput ? pathFromInput.value.trim() : '';
+        const toId = pathToInput ? pathToInput.value.trim() : '';
+
+        if (!fromId || !toId) {
+            this.showMessage('error', '最短経路検索エラー', '出発・到着ポイントのIDを入力してください。');
+            return;
+        }
+        if (fromId === toId) {
+            this.showMessage('error', '最短経路検索エラー', '出発ポイントと到着ポイントが同じです。');
+            return;
+        }
+
+        const { skippedRoutes } = this.routeNetwork.build(
+            this.dataManager.getLoadedRoutes(),
+            (route) => this.getRoutePoints(route),
+            (route) => this.getRouteGeometry(route)
+        );
+
+        const missingIds = [fromId, toId].filter(id => !this.routeNetwork.hasPoint(id));
+        if (missingIds.length > 0) {
+            this.routeNetwork.clearHighlight();
+            if (pathResult) pathResult.textContent = '';
+            this.showMessage('warning', '最短経路検索', `${missingIds.join('、')} に接続するルートがありません。`);
+            return;
+        }
+
+        const path = this.routeNetwork.findShortestPath(fromId, toId);
+        if (!path) {
+            this.routeNetwork.clearHighlight();
+            if (pathResult) pathResult.textContent = '';
+            this.showMessage('warning', '最短経路検索', `${fromId} から ${toId} へつながるルートがありません。`);
+            return;
+        }
+
+        this.routeNetwork.highlightPath(path);
+
+        if (pathResult) {
+            let resultText = `${path.pointIds.join(' → ')}\n総距離: ${this.formatDistance(path.distance)}（${path.edges.length}区間）`;
+            if (skippedRoutes.length > 0) {
+                resultText += `\n※GPSポイントまたは中間点の位置が見つからない${skippedRoutes.length}件のルートは検索対象外`;
+            }
+            pathResult.textContent = resultText;
+        }
+    }
+
+    clearShortestPath() {
+        this.routeNetwork.clearHighlight();
+        if (this.elements.pathResult) {
+            this.elements.pathResult.textContent = '';
+        }
+    }
+
+    // 線のトレースのイベントハンドラー設定
+    setupTrailTraceHandlers() {
+        const { pickTraceColorBtn, traceToleranceInput, traceRouteBtn, cancelTraceBtn } = this.elements;
+
+        if (traceToleranceInput) {
+            traceToleranceInput.value = CONFIG.TRACE_COLOR_TOLERANCE;
+        }
+        if (pickTraceColorBtn) {
+            pickTraceColorBtn.addEventListener('click', () => this.startTraceMode('color'));
+        }
+        if (traceRouteBtn) {
+            traceRouteBtn.addEventListener('click', () => this.startTraceMode('endpoints'));
+        }
+        if (cancelTraceBtn) {
+            cancelTraceBtn.addEventListener('click', () => {
+                this.stopTraceMode();
+                this.trailTracer.cancel();
+            });
+        }
+    }
+
+    // 線のトレースの地図クリック待ちを開始
+    startTraceMode(mode) {
+        if (!this.imageOverlay || !this.imageOverlay.getImagePixelData()) {
+            this.showMessage('error', '線のトレース', '画像を読み込んでください。');
+            return;
+        }
+        if (mode === 'endpoints' && !this.getSelectedRoute()) {
+            this.showMessage('error', '線のトレース', '中間点を追加するルートを選択してください。');
+            return;
+        }
+
+        this.stopNewRouteMode();
+        this.clearActionButtonSelection();
+        this.traceMode = mode;
+        this.traceEndpoints = [];
+        this.map.getContainer().style.cursor = 'crosshair';
+        this.setTraceStatus(mode === 'color'
+            ? '画像上の線をクリックして色を取得'
+            : '画像上の線の始点をクリック');
+    }
+
+    stopTraceMode() {
+        if (!this.traceMode) {
+            return;
+        }
+
+        this.traceMode = null;
+        this.traceEndpoints = [];
+        this.setTraceStatus('');
+        this.updateMapCursor();
+    }
+
+    setTraceStatus(text) {
+        if (this.elements.traceStatus) {
+            this.elements.traceStatus.textContent = text;
+        }
+    }
+
+    // 線のトレース中の地図クリック（色の取得、または始点・終点の指定）
+    handleTraceMapClick(latlng) {
+        const imageData = this.imageOverlay.getImagePixelData();
+        const imageCoords = imageData ? this.waypointManager.convertMapToImageCoordinates(latlng.lat, latlng.lng) : null;
+        const x = imageCoords ? Math.round(imageCoords.x) : -1;
+        const y = imageCoords ? Math.round(imageCoords.y) : -1;
+        if (x < 0 || y < 0 || x >= imageData.width || y >= imageData.height) {
+            this.setTraceStatus('画像の範囲内をクリックしてください');
+            return;
+        }
+
+        if (this.traceMode === 'color') {
+            const offset = (y * imageData.width + x) * 4;
+            const hex = Array.from(imageData.data.slice(offset, offset + 3))
+                .map(value => value.toString(16).padStart(2, '0'))
+                .join('');
+            if (this.elements.traceColorInput) {
+                this.elements.traceColorInput.value = `#${hex}`;
+            }
+            this.stopTraceMode();
+            this.setTraceStatus(`線の色: #${hex}`);
+            return;
+        }
+
+        this.traceEndpoints.push({ x, y });
+        if (this.traceEndpoints.length < 2) {
+            this.setTraceStatus('画像上の線の終点をクリック');
+            return;
+        }
+
+        const [start, end] = this.traceEndpoints;
+        this.stopTraceMode();
+        this.traceSelectedRoute(imageData, start, end);
+    }
+
+    // 始点・終点の間の線をたどり、簡略化した点を選択中のルートの中間点として追加
+    async traceSelectedRoute(imageData, start, end) {
+        const selectedRoute = this.getSelectedRoute();
+        if (!selectedRoute) {
+            return;
+        }
+
+        const hex = this.elements.traceColorInput ? this.elements.traceColorInput.value : '#ff0000';
+        const color = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+        const tolerance = parseFloat(this.elements.traceToleranceInput && this.elements.traceToleranceInput.value);
+
+        this.setTraceStatus('トレース中...');
+        const currentTrace = { route: selectedRoute };
+        this.currentTrace = currentTrace;
+        let result;
+        try {
+            result = await this.trailTracer.trace(imageData, color, start, end, tolerance > 0 ? tolerance : CONFIG.TRACE_COLOR_TOLERANCE);
+        } catch (error) {
+            this.setTraceStatus(error.message);
+            return;
+        } finally {
+            if (this.currentTrace === currentTrace) {
+                this.currentTrace = null;
+            }
+        }
+
+        // トレース中にルートが削除・分割・結合された場合は追加しない
+        if (!this.dataManager.getLoadedRoutes().includes(selectedRoute)) {
+            this.setTraceStatus('トレースを開始したルートがなくなったため、中間点を追加しませんでした');
+            return;
+        }
+
+        // ルートの開始・終了ポイント上の点は中間点にしない
+        const { startPoint, endPoint } = this.getRoutePoints(selectedRoute);
+        const endpointPixels = this.gpsData.getGPSMarkers()
+            .filter(gpsMarker => gpsMarker.id === startPoint || gpsMarker.id === endPoint)
+            .map(gpsMarker => this.waypointManager.convertMapToImageCoordinates(gpsMarker.lat, gpsMarker.lng))
+            .filter(pixel => pixel);
+        const isOnEndpoint = (point) => endpointPixels.some(pixel =>
+            Math.hypot(pixel.x - point.x, pixel.y - point.y) <= CONFIG.TRACE_SNAP_RADIUS * 2
+        );
+        const positions = result.points
+            .filter((point, index) => !((index === 0 || index === result.points.length - 1) && isOnEndpoint(point)))
+            .map(point => this.waypointManager.convertImageToMapCoordinates(point.x, point.y))
+            .filter(position => position);
+
+        if (positions.length === 0) {
+            this.setTraceStatus('追加する中間点がありません');
+            return;
+        }
+
+        // 選択中のルートが変わっていても、トレースを開始したルートに追加する
+        const routeCoordinates = this.optimizer.getRouteCoordinates(selectedRoute, (waypoint) => {
+            return this.waypointManager.getWaypointPosition(waypoint);
+        });
+        this.waypointManager.insertWaypointSection(selectedRoute, positions, routeCoordinates);
+        this.updateRouteDataAndDisplay(selectedRoute, false, false);
+        this.recordHistory('線のトレース');
+
+        const matchedPercent = Math.round(result.matchedRatio * 100);
+        this.setTraceStatus(`${positions.length}個の中間点を追加しました（線の色と一致: ${matchedPercent}%）` +
+            (matchedPercent < 50 ? '\n線の色や許容差を確認してください' : ''));
+    }
+
+    // 標高断面のイベントハンドラー設定
+    setupElevationProfileHandlers() {
+        const { elevationProfileBtn, saveDemSettingsBtn, resetDemSettingsBtn } = this.elements;
+
+        if (elevationProfileBtn) {
+            elevationProfileBtn.addEventListener('click', () => this.showElevationProfile());
+        }
+
+        this.displayDemSettings(DemTileElevationProvider.loadSettings());
+
+        if (saveDemSettingsBtn) {
+            saveDemSettingsBtn.addEventListener('click', () => {
+                const { demUrlInput, demZoomInput } = this.elements;
+                const urlTemplate = demUrlInput.value.trim();
+                const zoom = parseInt(demZoomInput.value, 10);
+
+                if (!['{z}', '{x}', '{y}'].every(key => urlTemplate.includes(key)) || !Number.isInteger(zoom)) {
+                    this.showMessage('error', '標高データ設定エラー', 'URLには {z}、{x}、{y} を含め、ズームレベルは整数で指定してください。');
+                    return;
+                }
+                this.applyDemSettings({ urlTemplate, zoom });
             });
         }
+
+        if (resetDemSettingsBtn) {
+            resetDemSettingsBtn.addEventListener('click', () => {
+                this.applyDemSettings({ urlTemplate: CONFIG.DEFAULT_DEM_TILE_URL, zoom: CONFIG.DEFAULT_DEM_TILE_ZOOM });
+            });
+        }
+    }
+
+    displayDemSettings({ urlTemplate, zoom }) {
+        const { demUrlInput, demZoomInput } = this.elements;
+        if (demUrlInput) demUrlInput.value = urlTemplate;
+        if (demZoomInput) demZoomInput.value = zoom;
+    }
+
+    // 標高タイルの取得元を変更して保存
+    applyDemSettings(settings) {
+        DemTileElevationProvider.saveSettings(settings);
+        this.elevationProfile.setElevationProvider(new DemTileElevationProvider(settings.urlTemplate, settings.zoom));
+        this.displayDemSettings(settings);
+    }
+
+    // 選択されているルートの標高断面と統計を表示
+    async showElevationProfile() {
+        const selectedRoute = this.getSelectedRoute();
+        if (!selectedRoute) {
+            this.showMessage('error', 'エラー', 'ルートを選択してください。');
+            return;
+        }
+
+        const geometry = this.getRouteGeometry(selectedRoute);
+        if (!geometry) {
+            this.showMessage('error', '標高断面エラー', '開始・終了ポイントのGPS値、または中間点の位置が見つかりません。画像座標のみの中間点がある場合は画像を読み込んでください。');
+            return;
+        }
+
+        const { elevationProfileCanvas, elevationStats } = this.elements;
+        if (elevationStats) {
+            elevationStats.textContent = '標高を取得中...';
+        }
+
+        try {
+            const { samples, stats } = await this.elevationProfile.createProfile(geometry.coordinates);
+
+            if (elevationProfileCanvas) {
+                elevationProfileCanvas.style.display = 'block';
+                this.elevationProfile.drawChart(elevationProfileCanvas, samples);
+            }
+
+            if (elevationStats) {
+                const { startPoint, endPoint } = this.getRoutePoints(selectedRoute);
+                const formatElevation = value => (value === null ? '-' : `${Math.round(value)} m`);
+                let statsText = `${startPoint} ～ ${endPoint}（${this.formatDistance(stats.length)}）\n` +
+                    `累積標高 登り: ${Math.round(stats.ascent)} m ／ 下り: ${Math.round(stats.descent)} m\n` +
+                    `最低: ${formatElevation(stats.minElevation)} ／ 最高: ${formatElevation(stats.maxElevation)}`;
+                if (stats.missingCount > 0) {
+                    statsText += `\n※標高データがない${stats.missingCount}地点を除いて計算`;
+                }
+                elevationStats.textContent = statsText;
+            }
+        } catch (error) {
+            if (elevationStats) elevationStats.textContent = '';
+            this.showMessage('error', '標高断面エラー', `標高の取得に失敗しました: ${error.message}`);
+        }
+    }
+
+    // 中間点の位置の基準（画像座標／緯度経度）の切り替え
+    setupWaypointAnchorHandlers() {
+        const { waypointAnchorCheckbox } = this.elements;
+        if (!waypointAnchorCheckbox) return;
+
+        waypointAnchorCheckbox.checked = this.waypointManager.getAnchorMode() === WAYPOINT_ANCHOR_MODES.GEOGRAPHIC;
+        waypointAnchorCheckbox.addEventListener('change', () => {
+            // 切り替え前の基準で緯度経度と画像座標をそろえてから切り替える（表示位置が変わらないように）
+            this.dataManager.getLoadedRoutes().forEach(route => {
+                this.waypointManager.syncWaypointCoordinates(route);
+            });
+            this.waypointManager.setAnchorMode(waypointAnchorCheckbox.checked
+                ? WAYPOINT_ANCHOR_MODES.GEOGRAPHIC
+                : WAYPOINT_ANCHOR_MODES.IMAGE);
+            this.refreshRouteDisplay();
+        });
+    }
+
+    // 中間点マーカーと経路線を現在の基準・画像の位置合わせで描き直す
+    refreshRouteDisplay() {
+        if (this.dataManager.getLoadedRoutes().length === 0) {
+            return;
+        }
+
+        this.displayAllRoutes(this.getSelectedRoute());
+        this.updateMarkerDraggableState();
+        this.redrawAllRouteLines();
+    }
+
+    // 歩行時間の推定設定のイベントハンドラー設定
+    setupHikingTimeHandlers() {
+        const { hikingTimeModelSelect } = this.elements;
+        if (!hikingTimeModelSelect) return;
+
+        Object.entries(HIKING_TIME_MODEL_DEFINITIONS).forEach(([model, definition]) => {
+            const option = document.createElement('option');
+            option.value = model;
+            option.textContent = definition.label;
+            hikingTimeModelSelect.appendChild(option);
+        });
+        hikingTimeModelSelect.value = this.hikingTimeEstimator.getSettings().model;
+
+        hikingTimeModelSelect.addEventListener('change', () => {
+            const settings = this.hikingTimeEstimator.getSettings();
+            this.hikingTimeEstimator.setSettings({ ...settings, model: hikingTimeModelSelect.value });
+            this.renderHikingTimeParams();
+            this.refreshHikingTimeDisplay();
+        });
+
+        this.renderHikingTimeParams();
+    }
+
+    // 選択中のモデルのパラメータ入力欄を表示
+    renderHikingTimeParams() {
+        const { hikingTimeParams } = this.elements;
+        if (!hikingTimeParams) return;
+
+        const settings = this.hikingTimeEstimator.getSettings();
+        const definition = HIKING_TIME_MODEL_DEFINITIONS[settings.model];
+        hikingTimeParams.innerHTML = '';
+
+        definition.parameters.forEach(parameter => {
+            const row = document.createElement('div');
+            row.className = 'info-field-row';
+
+            const inputId = `hikingTimeParam-${parameter.key}`;
+            const label = document.createElement('label');
+            label.htmlFor = inputId;
+            label.textContent = parameter.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = inputId;
+            input.min = '0';
+            input.step = 'any';
+            input.value = settings.parameters[settings.model][parameter.key];
+            input.addEventListener('change', () => {
+                // 入力欄を作った後に設定が変わっている場合があるため、現在の設定を取得し直す
+                const currentSettings = this.hikingTimeEstimator.getSettings();
+                const value = parseFloat(input.value);
+                if (!(value > 0)) {
+                    input.value = currentSettings.parameters[currentSettings.model][parameter.key];
+                    return;
+                }
+                const parameters = {
+                    ...currentSettings.parameters,
+                    [currentSettings.model]: { ...currentSettings.parameters[currentSettings.model], [parameter.key]: value }
+                };
+                this.hikingTimeEstimator.setSettings({ ...currentSettings, parameters });
+                this.refreshHikingTimeDisplay();
+            });
+
+            const unit = document.createElement('span');
+            unit.className = 'unit-label';
+            unit.textContent = parameter.unit;
+
+            row.append(label, input, unit);
+            hikingTimeParams.appendChild(row);
+        });
+    }
+
+    // ルートの推定歩行時間を計算（開始・終了ポイントまたは中間点の位置が見つからない場合はnull）
+    async estimateHikingTime(route) {
+        const geometry = this.getRouteGeometry(route);
+        if (!geometry) {
+            return null;
+        }
+
+        try {
+            const { samples, stats } = await this.elevationProfile.createProfile(geometry.coordinates);
+            return this.hikingTimeEstimator.estimate(samples, stats);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 複数ルートの推定歩行時間を計算（ルート → 推定歩行時間 のMap）
+    async estimateHikingTimes(routes) {
+        const hikingTimes = new Map();
+        for (const route of routes) {
+            const hikingTime = await this.estimateHikingTime(route);
+            if (hikingTime) {
+                hikingTimes.set(route, hikingTime);
+            }
+        }
+        return hikingTimes;
+    }
+
+    // 選択中のルートの推定歩行時間を表示（往路・復路）
+    async refreshHikingTimeDisplay() {
+        const { hikingTimeField } = this.elements;
+        if (!hikingTimeField) return;
+
+        const selectedRoute = this.getSelectedRoute();
+        // 計算中に選択が変わった場合は古い結果を表示しない
+        const requestId = ++this.hikingTimeRequestId;
+
+        if (!selectedRoute) {
+            hikingTimeField.value = '';
+            return;
+        }
+
+        hikingTimeField.value = '計算中...';
+        const hikingTime = await this.estimateHikingTime(selectedRoute);
+        if (requestId !== this.hikingTimeRequestId) {
+            return;
+        }
+
+        if (!hikingTime) {
+            hikingTimeField.value = '-';
+            return;
+        }
+
+        const { startPoint, endPoint } = this.getRoutePoints(selectedRoute);
+        hikingTimeField.value = `${startPoint}→${endPoint} ${HikingTimeEstimator.formatMinutes(hikingTime.forwardMinutes)} ／ ` +
+            `${endPoint}→${startPoint} ${HikingTimeEstimator.formatMinutes(hikingTime.reverseMinutes)}`;
+    }
+
+    // 読み込み済みルートとGPSポイントの整合性を検査して一覧表示
+    checkNetworkIntegrity() {
+        const { networkIssueList } = this.elements;
+        if (!networkIssueList) return;
+
+        const gpsPointIds = this.gpsData
+            ? this.gpsData.getGPSMarkers().map(marker => marker.id).filter(id => id)
+            : [];
+        const issues = this.routeNetwork.checkIntegrity(
+            this.dataManager.getLoadedRoutes(),
+            (route) => this.getRoutePoints(route),
+            gpsPointIds
+        );
+
+        networkIssueList.innerHTML = '';
+        networkIssueList.style.display = 'block';
+
+        if (issues.length === 0) {
+            const listItem = document.createElement('li');
+            listItem.className = 'network-issue-ok';
+            listItem.textContent = '問題は見つかりませんでした';
+            networkIssueList.appendChild(listItem);
+            return;
+        }
+
+        issues.forEach(issue => {
+            const listItem = document.createElement('li');
+            listItem.className = `network-issue ${issue.type}`;
+            listItem.textContent = issue.message;
+            listItem.title = 'クリックで該当箇所を表示';
+            listItem.addEventListener('click', () => this.zoomToNetworkIssue(issue));
+            networkIssueList.appendChild(listItem);
+        });
+    }
+
+    // 問題のあるポイント・ルートの範囲に地図を移動（ルートが含まれる場合は最初のルートを選択）
+    zoomToNetworkIssue(issue) {
+        const latLngs = [];
+        const gpsMarkers = this.gpsData ? this.gpsData.getGPSMarkers() : [];
+
+        issue.pointIds.forEach(pointId => {
+            const gpsMarker = gpsMarkers.find(marker => marker.id === pointId);
+            if (gpsMarker) {
+                latLngs.push([gpsMarker.lat, gpsMarker.lng]);
+            }
+        });
+
+        issue.routes.forEach(route => {
+            this.getWaypoints(route).forEach(waypoint => {
+                const mapPosition = this.waypointManager.getWaypointPosition(waypoint);
+                if (mapPosition) {
+                    latLngs.push(mapPosition);
+                }
+            });
+        });
+
+        if (issue.routes.length > 0 && this.elements.routeSelect) {
+            const option = this.findRouteOptionByRoute(issue.routes[0]);
+            if (option) {
+                this.elements.routeSelect.value = option.value;
+                this.handleRouteSelectChange();
+            }
+        }
+
+        if (latLngs.length === 1) {
+            this.map.setView(latLngs[0], Math.max(this.map.getZoom(), 17));
+        } else if (latLngs.length > 1) {
+            this.map.fitBounds(L.latLngBounds(latLngs).pad(0.2));
+        } else {
+            this.showMessage('warning', 'ネットワーク検査', '地図上の位置を特定できません（画像またはGPSポイントが読み込まれていません）。');
+        }
     }
 
     // ルート操作ボタンのイベントハンドラー設定
@@ -83,7 +887,8 @@ export class RouteEditor {
         const buttonActions = [
             { element: this.elements.addRouteBtn, action: 'add' },
             { element: this.elements.moveRouteBtn, action: 'move' },
-            { element: this.elements.deleteRouteBtn, action: 'delete' }
+            { element: this.elements.deleteRouteBtn, action: 'delete' },
+            { element: this.elements.splitRouteBtn, action: 'split' }
         ];
 
         buttonActions.forEach(({ element, action }) => {
@@ -95,10 +900,19 @@ export class RouteEditor {
         });
 
         const directActions = [
-            { element: this.elements.clearRouteBtn, handler: () => this.clearSelectedRoute() },
+            {
+                element: this.elements.clearRouteBtn,
+                handler: () => {
+                    this.clearSelectedRoute();
+                    this.recordHistory('ルート削除');
+                }
+            },
             { element: this.elements.saveRouteBtn, handler: () => this.saveSelectedRoute() },
+            { element: this.elements.saveAllRoutesBtn, handler: () => this.saveEditedRoutes() },
             { element: this.elements.optimizeRouteBtn, handler: () => this.optimizeRoute() },
-            { element: this.elements.saveGeoJsonRouteBtn, handler: () => {} } // GeoJSON出力機能（未実装）
+            { element: this.elements.reverseRouteBtn, handler: () => this.reverseRoute() },
+            { element: this.elements.mergeRouteBtn, handler: () => this.mergeSelectedRoute() },
+            { element: this.elements.saveGeoJsonRouteBtn, handler: () => this.saveRoutesAsGeoJSON() }
         ];
 
         directActions.forEach(({ element, handler }) => {
@@ -149,13 +963,15 @@ export class RouteEditor {
                 const allLoadedRoutes = this.dataManager.getLoadedRoutes();
                 if (allLoadedRoutes.length > 0) {
                     try {
-                        this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (imageX, imageY) => {
-                            return this.waypointManager.convertImageToMapCoordinates(imageX, imageY);
+                        this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (waypoint) => {
+                            return this.waypointManager.getWaypointPosition(waypoint);
                         });
                     } catch (error) {
                         // 自動複数ルート経路線描画エラー（無視）
                     }
                 }
+                
+                this.recordHistory('ルート読み込み');
             } else {
                 this.showMessage('warning', '読み込み結果', 'すべてのファイルでエラーが発生し、読み込めるルートがありませんでした。');
             }
@@ -176,6 +992,9 @@ export class RouteEditor {
 
     // ルート操作ボタンの選択・未選択状態を切り替える
     toggleActionButton(action, buttonElement) {
+        this.stopNewRouteMode();
+        this.stopTraceMode();
+
         // 全てのボタンから選択状態を削除
         const allButtons = document.querySelectorAll('.route-action-btn');
         allButtons.forEach(btn => btn.classList.remove('selected'));
@@ -194,6 +1013,11 @@ export class RouteEditor {
 
     // 地図クリック時の処理
     onMapClick(e) {
+        if (this.traceMode) {
+            this.handleTraceMapClick(e.latlng);
+            return;
+        }
+
         if (!this.selectedActionButton) {
             return;
         }
@@ -210,16 +1034,31 @@ export class RouteEditor {
 
         try {
             switch (this.selectedActionButton) {
-                case 'add':
-                    this.waypointManager.addWaypointToRoute(e.latlng, selectedRoute, (routeData) => {
-                        this.updateRouteDataAndDisplay(routeData);
+                case 'add': {
+                    // 追加位置は経路線の区間から決めるため、既存の順序を保つよう自動最適化は行わない
+                    const routeCoordinates = this.optimizer.getRouteCoordinates(selectedRoute, (waypoint) => {
+                        return this.waypointManager.getWaypointPosition(waypoint);
+                    });
+                    this.waypointManager.addWaypointToRoute(e.latlng, selectedRoute, routeCoordinates, (routeData) => {
+                        this.updateRouteDataAndDisplay(routeData, false, false);
+                        this.recordHistory('中間点追加');
                     });
                     break;
+                }
                 case 'delete':
                     this.waypointManager.deleteWaypointFromRoute(e.latlng, selectedRoute, (routeData) => {
-                        this.updateRouteDataAndDisplay(routeData);
+                        this.updateRouteDataAndDisplay(routeData, false, false);
+                        this.recordHistory('中間点削除');
                     });
                     break;
+                case 'split': {
+                    const wayPoints = this.getWaypoints(selectedRoute);
+                    const closestIndex = this.waypointManager.findClosestWaypointIndex(e.latlng, wayPoints);
+                    if (closestIndex !== -1) {
+                        this.splitRouteAtWaypoint(wayPoints[closestIndex], selectedRoute);
+                    }
+                    break;
+                }
             }
         } catch (error) {
             this.showMessage('error', 'エラー', error.message);
@@ -254,13 +1093,16 @@ export class RouteEditor {
         const allLoadedRoutes = this.dataManager.getLoadedRoutes();
         if (allLoadedRoutes.length > 0) {
             try {
-                this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (imageX, imageY) => {
-                    return this.waypointManager.convertImageToMapCoordinates(imageX, imageY);
+                this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (waypoint) => {
+                    return this.waypointManager.getWaypointPosition(waypoint);
                 });
             } catch (error) {
                 // ドラッグ終了後の経路線再描画エラー（無視）
             }
         }
+
+        this.refreshHikingTimeDisplay();
+        this.refreshMergeCandidates();
     }
 
     // 選択されているルートを取得
@@ -290,6 +1132,7 @@ export class RouteEditor {
                 mapContainer.style.cursor = 'move';
                 break;
             case 'delete':
+            case 'split':
                 mapContainer.style.cursor = 'pointer';
                 break;
             default:
@@ -327,13 +1170,15 @@ export class RouteEditor {
         const allLoadedRoutes = this.dataManager.getLoadedRoutes();
         if (allLoadedRoutes.length > 0) {
             try {
-                this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (imageX, imageY) => {
-                    return this.waypointManager.convertImageToMapCoordinates(imageX, imageY);
+                this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (waypoint) => {
+                    return this.waypointManager.getWaypointPosition(waypoint);
                 });
             } catch (error) {
                 // ドラッグ終了後の経路線再描画エラー（無視）
             }
         }
+        
+        this.recordHistory('中間点移動');
     }
 
     // 全てのルートを表示（選択されたルートは大きいアイコン、その他は小さいアイコン）
@@ -350,7 +1195,8 @@ export class RouteEditor {
                 (e, waypointData, routeData) => {
                     try {
                         this.waypointManager.onWaypointDragEnd(e, waypointData, routeData, (routeData) => {
-                            this.updateRouteDataAndDisplay(routeData);
+                            this.updateRouteDataAndDisplay(routeData, false, false);
+                            this.recordHistory('中間点移動');
                         });
                     } catch (error) {
                         this.showMessage('error', 'エラー', error.message);
@@ -359,8 +1205,11 @@ export class RouteEditor {
                 (targetPoint, routeData) => {
                     if (this.selectedActionButton === 'delete') {
                         this.waypointManager.deleteSpecificWaypoint(targetPoint, routeData, (routeData) => {
-                            this.updateRouteDataAndDisplay(routeData);
+                            this.updateRouteDataAndDisplay(routeData, false, false);
+                            this.recordHistory('中間点削除');
                         });
+                    } else if (this.selectedActionButton === 'split') {
+                        this.splitRouteAtWaypoint(targetPoint, routeData);
                     }
                 },
                 // 動的更新コールバック（ドラッグ中の経路線更新）
@@ -378,49 +1227,34 @@ export class RouteEditor {
         try {
             // ドラッグ中の新しい位置を取得
             const newPosition = e.target.getLatLng();
-            const imageCoords = this.waypointManager.convertMapToImageCoordinates(newPosition.lat, newPosition.lng);
             
-            if (imageCoords) {
-                // ドラッグ中の座標を一時的に保存（元の座標は保持しない）
-                const tempImageX = Math.round(imageCoords.x);
-                const tempImageY = Math.round(imageCoords.y);
-                
-                // ルートデータのコピーを作成してドラッグ中の座標で経路線を描画
-                const tempRouteData = this.createTempRouteForDrag(routeData, waypointData, tempImageX, tempImageY);
-                
-                // 全ルートの経路線を再描画（一時的なルートデータを使用）
-                const allLoadedRoutes = this.dataManager.getLoadedRoutes();
-                const tempAllRoutes = allLoadedRoutes.map(route => 
-                    route === routeData ? tempRouteData : route
-                );
-                
-                this.optimizer.drawMultipleRouteSegments(tempAllRoutes, (imageX, imageY) => {
-                    return this.waypointManager.convertImageToMapCoordinates(imageX, imageY);
-                });
-            }
+            // ルートデータのコピーを作成してドラッグ中の座標で経路線を描画（元の座標は保持しない）
+            const tempRouteData = this.createTempRouteForDrag(routeData, waypointData, newPosition);
+            
+            // 全ルートの経路線を再描画（一時的なルートデータを使用）
+            const allLoadedRoutes = this.dataManager.getLoadedRoutes();
+            const tempAllRoutes = allLoadedRoutes.map(route => 
+                route === routeData ? tempRouteData : route
+            );
+            
+            this.optimizer.drawMultipleRouteSegments(tempAllRoutes, (waypoint) => {
+                return this.waypointManager.getWaypointPosition(waypoint);
+            });
         } catch (error) {
             // ドラッグ中の経路線更新エラー（無視）
         }
     }
     
     // ドラッグ中の経路線描画用に一時的なルートデータを作成
-    createTempRouteForDrag(originalRouteData, draggedWaypoint, newImageX, newImageY) {
+    createTempRouteForDrag(originalRouteData, draggedWaypoint, newPosition) {
         // 元のルートデータの構造を保持してコピー
         const tempRouteData = JSON.parse(JSON.stringify(originalRouteData));
         
-        // ドラッグ中のウェイポイントの座標を更新
+        // ドラッグ中のウェイポイントの座標を更新（コピーでも配列内の位置は同じ）
         const waypoints = this.getWaypoints(tempRouteData);
-        if (waypoints) {
-            const targetWaypoint = waypoints.find(wp => 
-                wp.imageX === draggedWaypoint.imageX && 
-                wp.imageY === draggedWaypoint.imageY &&
-                wp.index === draggedWaypoint.index
-            );
-            
-            if (targetWaypoint) {
-                targetWaypoint.imageX = newImageX;
-                targetWaypoint.imageY = newImageY;
-            }
+        const targetIndex = this.getWaypoints(originalRouteData).indexOf(draggedWaypoint);
+        if (waypoints && targetIndex !== -1) {
+            this.waypointManager.setWaypointPosition(waypoints[targetIndex], newPosition.lat, newPosition.lng);
         }
         
         return tempRouteData;
@@ -461,7 +1295,10 @@ export class RouteEditor {
         }
 
         try {
-            const result = await this.dataManager.saveSelectedRoute(selectedRoute);
+            // 保存前に緯度経度と画像座標を基準に合わせてそろえる
+            this.waypointManager.syncWaypointCoordinates(selectedRoute);
+            const hikingTime = await this.estimateHikingTime(selectedRoute);
+            const result = await this.dataManager.saveSelectedRoute(selectedRoute, hikingTime);
             
             if (result.success) {
                 this.showSuccessMessage('保存完了', `ルートデータが保存されました。\nファイル名: ${result.filename}`);
@@ -477,15 +1314,105 @@ export class RouteEditor {
         }
     }
 
+    // 編集済みのルートをまとめて保存する機能
+    async saveEditedRoutes() {
+        try {
+            const editedRoutes = this.dataManager.getLoadedRoutes().filter(route => route.isEdited === true);
+            editedRoutes.forEach(route => this.waypointManager.syncWaypointCoordinates(route));
+            const hikingTimes = await this.estimateHikingTimes(editedRoutes);
+            const result = await this.dataManager.saveEditedRoutes(hikingTimes);
+
+            if (result.success) {
+                const location = result.method === 'directory'
+                    ? `フォルダ: ${result.location}`
+                    : `ZIPファイル: ${result.location}`;
+                let message = `${result.filenames.length}件のルートを保存しました。\n${location}\n\n${result.filenames.join('\n')}`;
+                if (result.failed.length > 0) {
+                    message += `\n\n保存できなかったファイル:\n${result.failed.map(f => `${f.filename}: ${f.error}`).join('\n')}`;
+                }
+                this.showSuccessMessage('一括保存完了', message);
+                this.refreshRouteOptionLabels();
+            } else if (result.cancelled) {
+                // キャンセル時は何もメッセージを表示しない
+            } else {
+                this.showMessage('error', '保存エラー', result.error);
+            }
+
+        } catch (error) {
+            this.showMessage('error', '保存エラー', error.message);
+        }
+    }
+
+    // 全ルートのドロップダウン表示（更新マーク）を更新（選択状態は維持）
+    refreshRouteOptionLabels() {
+        if (!this.elements.routeSelect) return;
+
+        const selectedRoute = this.getSelectedRoute();
+        this.dataManager.getLoadedRoutes().forEach(route => {
+            const option = this.findRouteOptionByRoute(route);
+            if (option) {
+                const optionValue = this.createRouteOptionValue(route, true);
+                option.value = optionValue;
+                option.textContent = optionValue;
+            }
+        });
+
+        if (selectedRoute) {
+            this.elements.routeSelect.value = this.createRouteOptionValue(selectedRoute, true);
+        }
+    }
+
+    // 読み込まれている全ルートをGeoJSON形式で出力する機能
+    async saveRoutesAsGeoJSON() {
+        const loadedRoutes = this.dataManager.getLoadedRoutes();
+        if (loadedRoutes.length === 0) {
+            this.showMessage('error', 'エラー', '出力するルートがありません。');
+            return;
+        }
+
+        try {
+            const hikingTimes = await this.estimateHikingTimes(loadedRoutes);
+            const result = await this.dataManager.saveRoutesAsGeoJSON(loadedRoutes, (route) => this.getRouteGeometry(route), hikingTimes);
+
+            if (result.success) {
+                let message = `${result.featureCount}件のルートを出力しました。\nファイル名: ${result.filename}`;
+                if (result.skippedRoutes.length > 0) {
+                    message += `\n\nGPSポイントまたは中間点の位置が見つからないため出力しなかったルート:\n${result.skippedRoutes.join('\n')}`;
+                }
+                this.showSuccessMessage('GeoJSON出力完了', message);
+            } else if (result.cancelled) {
+                // キャンセル時は何もメッセージを表示しない
+            } else {
+                this.showMessage('error', 'GeoJSON出力エラー', result.error);
+            }
+
+        } catch (error) {
+            this.showMessage('error', 'GeoJSON出力エラー', error.message);
+        }
+    }
+
+    // ルートの座標配列（開始GPS → 中間点 → 終了GPS）と総延長を取得（開始・終了ポイントまたは中間点の位置が見つからない場合はnull）
+    getRouteGeometry(route) {
+        const coordinates = this.optimizer.getRouteCoordinates(route, (waypoint) => {
+            return this.waypointManager.getWaypointPosition(waypoint);
+        });
+        if (!coordinates) {
+            return null;
+        }
+        return { coordinates, length: this.optimizer.calculatePathLength(coordinates) };
+    }
+
     // 内部用ルート最適化機能（メッセージ表示なし）
     performRouteOptimization(routeData, showMessages = true, updateDisplay = true) {
         try {
-            // 最適化前の中間点順序を保存
+            // 最適化前の中間点順序（index順）を保存
             const originalWaypoints = this.getWaypoints(routeData);
-            const originalOrder = [...originalWaypoints].map(wp => ({ index: wp.index, imageX: wp.imageX, imageY: wp.imageY }));
+            const originalOrder = [...originalWaypoints]
+                .sort((a, b) => (a.index || 0) - (b.index || 0))
+                .map(wp => ({ index: wp.index, imageX: wp.imageX, imageY: wp.imageY, lat: wp.lat, lng: wp.lng }));
             
-            const optimizedOrder = this.optimizer.optimizeRoute(routeData, (imageX, imageY) => {
-                return this.waypointManager.convertImageToMapCoordinates(imageX, imageY);
+            const { waypoints: optimizedOrder, originalDistance, optimizedDistance } = this.optimizer.optimizeRoute(routeData, (waypoint) => {
+                return this.waypointManager.getWaypointPosition(waypoint);
             });
 
             // 最適化前後で順序に変更があるかチェック
@@ -507,8 +1434,8 @@ export class RouteEditor {
                 const allLoadedRoutes = this.dataManager.getLoadedRoutes();
                 if (allLoadedRoutes.length > 0) {
                     try {
-                        this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (imageX, imageY) => {
-                            return this.waypointManager.convertImageToMapCoordinates(imageX, imageY);
+                        this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (waypoint) => {
+                            return this.waypointManager.getWaypointPosition(waypoint);
                         });
                     } catch (error) {
                         // 最適化後の経路線再描画エラー（無視）
@@ -522,7 +1449,14 @@ export class RouteEditor {
                 }
             }
             
-            return { success: true, hasOrderChanged };
+            if (showMessages) {
+                const message = hasOrderChanged
+                    ? `中間点の順序を最適化しました。\n総距離: ${this.formatDistance(originalDistance)} → ${this.formatDistance(optimizedDistance)}（${this.formatDistance(originalDistance - optimizedDistance)}短縮）`
+                    : `現在の順序が最短です。\n総距離: ${this.formatDistance(optimizedDistance)}`;
+                this.showMessage('success', '最適化完了', message);
+            }
+            
+            return { success: true, hasOrderChanged, originalDistance, optimizedDistance };
 
         } catch (error) {
             if (showMessages) {
@@ -545,6 +1479,187 @@ export class RouteEditor {
         }
 
         this.performRouteOptimization(selectedRoute, true);
+        this.recordHistory('中間点の順序最適化');
+    }
+
+    // 中間点を新しいGPSポイント（分岐点）にして、ルートを 開始→分岐点 と 分岐点→終了 に分割
+    async splitRouteAtWaypoint(waypoint, routeData) {
+        const position = this.waypointManager.getWaypointPosition(waypoint);
+        if (!position) {
+            errorHandler.showError('分割エラー', '中間点の位置を取得できません。画像を読み込んでください。');
+            return;
+        }
+
+        const { startPoint, endPoint } = this.getRoutePoints(routeData);
+        const input = await errorHandler.showPrompt(
+            'ルートの分割',
+            `選択した中間点を分岐点として、${startPoint} ～ ${endPoint} を2つのルートに分割します。\n分岐点のGPSポイントのID名を入力してください（X-nn形式）。`,
+            { okLabel: '分割' }
+        );
+        if (input === null) {
+            return;
+        }
+
+        const junctionPointId = Validators.formatPointId(input.trim());
+        if (!junctionPointId || !Validators.isValidPointIdFormat(junctionPointId)) {
+            errorHandler.showError('分割エラー', `ID名「${input}」はX-nn形式（英大文字1桁-数字2桁）ではありません。`);
+            return;
+        }
+        if (this.gpsData.getGPSMarkers().some(gpsMarker => gpsMarker.id === junctionPointId)) {
+            errorHandler.showError('分割エラー', `GPSポイント「${junctionPointId}」は既に存在します。`);
+            return;
+        }
+
+        try {
+            this.dataManager.validateRouteSplit(routeData, junctionPointId);
+        } catch (error) {
+            errorHandler.showError('分割エラー', error.message);
+            return;
+        }
+
+        // 分岐点のGPSポイントの追加とルートの分割を1つの操作として履歴に記録
+        const originalOption = this.findRouteOptionByRoute(routeData);
+        try {
+            this.recordHistoryGroup('ルート分割', () => {
+                const [lat, lng] = position;
+                this.gpsData.addPoint({
+                    id: junctionPointId,
+                    pointId: junctionPointId,
+                    lat,
+                    lng,
+                    altitude: null,
+                    location: ''
+                });
+                if (this.gpsPointAddedCallback) {
+                    this.gpsPointAddedCallback(junctionPointId);
+                }
+
+                const parts = this.dataManager.splitRoute(routeData, waypoint, junctionPointId);
+
+                // ドロップダウンの元のルートを分割後の2ルートに置き換え、前半のルートを選択
+                if (originalOption) {
+                    originalOption.remove();
+                }
+                parts.forEach(part => this.addRouteOption(this.createRouteOptionValue(part, true)));
+                this.elements.routeSelect.value = this.createRouteOptionValue(parts[0], true);
+
+                this.clearActionButtonSelection();
+                this.onRouteSelectionChange();
+                this.recordHistory('ルート分割');
+            });
+        } catch (error) {
+            errorHandler.showError('分割エラー', error.message);
+            return;
+        }
+        errorHandler.showSuccess('ルート分割',
+            `${startPoint} ～ ${endPoint} を分割しました。\n${startPoint} ～ ${junctionPointId}\n${junctionPointId} ～ ${endPoint}`);
+    }
+
+    // 選択中のルートと開始・終了ポイントを共有するルートを結合先ドロップダウンに表示
+    refreshMergeCandidates() {
+        const { mergeRouteSelect } = this.elements;
+        if (!mergeRouteSelect) return;
+
+        const selectedRoute = this.getSelectedRoute();
+        this.mergeCandidates = selectedRoute ? this.dataManager.findAdjacentRoutes(selectedRoute) : [];
+
+        mergeRouteSelect.innerHTML = '';
+        if (this.mergeCandidates.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = '結合できるルートなし';
+            mergeRouteSelect.appendChild(option);
+        }
+        this.mergeCandidates.forEach(({ route, junctionPointId }, index) => {
+            const { startPoint, endPoint } = this.getRoutePoints(route);
+            const option = document.createElement('option');
+            option.value = index.toString();
+            option.textContent = `${startPoint} ～ ${endPoint}（${junctionPointId}で接続）`;
+            mergeRouteSelect.appendChild(option);
+        });
+        mergeRouteSelect.disabled = this.mergeCandidates.length === 0;
+    }
+
+    // 選択中のルートと結合先のルートを分岐点で1つのルートに結合（分岐点の位置は中間点にする）
+    mergeSelectedRoute() {
+        const selectedRoute = this.getSelectedRoute();
+        if (!selectedRoute) {
+            this.showMessage('error', 'エラー', 'ルートを選択してください。');
+            return;
+        }
+
+        const candidate = this.mergeCandidates[Number(this.elements.mergeRouteSelect && this.elements.mergeRouteSelect.value)];
+        if (!candidate || !this.dataManager.getLoadedRoutes().includes(candidate.route)) {
+            this.showMessage('warning', 'ルート結合', '結合するルートを選択してください（開始・終了ポイントを共有するルートのみ結合できます）。');
+            return;
+        }
+
+        const { route: otherRoute, junctionPointId } = candidate;
+        const junction = this.gpsData.getGPSMarkers().find(gpsMarker => gpsMarker.id === junctionPointId);
+        if (!junction) {
+            this.showMessage('error', '結合エラー', `分岐点 ${junctionPointId} がGPSポイントにありません。`);
+            return;
+        }
+        const junctionWaypoint = {};
+        this.waypointManager.setWaypointPosition(junctionWaypoint, junction.lat, junction.lng);
+
+        // 選択中のルートの向きを保つように前後を決める
+        const { endPoint } = this.getRoutePoints(selectedRoute);
+        const [firstRoute, secondRoute] = endPoint === junctionPointId
+            ? [selectedRoute, otherRoute]
+            : [otherRoute, selectedRoute];
+        const originalOptions = [firstRoute, secondRoute].map(route => this.findRouteOptionByRoute(route));
+
+        let mergedRoute;
+        try {
+            mergedRoute = this.dataManager.mergeRoutes(firstRoute, secondRoute, junctionPointId, junctionWaypoint);
+        } catch (error) {
+            this.showMessage('error', '結合エラー', error.message);
+            return;
+        }
+
+        // ドロップダウンの元の2ルートを結合後のルートに置き換えて選択
+        originalOptions.forEach(option => {
+            if (option) option.remove();
+        });
+        const optionValue = this.createRouteOptionValue(mergedRoute, true);
+        this.addRouteOption(optionValue);
+        this.elements.routeSelect.value = optionValue;
+
+        this.clearActionButtonSelection();
+        this.onRouteSelectionChange();
+        this.recordHistory('ルート結合');
+
+        const merged = this.getRoutePoints(mergedRoute);
+        this.showMessage('success', 'ルート結合',
+            `${merged.startPoint} ～ ${merged.endPoint} に結合しました。\n${junctionPointId} の位置は中間点になりました（GPSポイントは残っています）。`);
+    }
+
+    // 選択中のルートの向きを反転（開始・終了ポイントの入れ替え）
+    reverseRoute() {
+        const selectedRoute = this.getSelectedRoute();
+        if (!selectedRoute) {
+            this.showMessage('error', 'エラー', 'ルートを選択してください。');
+            return;
+        }
+
+        const previousPoints = this.getRoutePoints(selectedRoute);
+        try {
+            this.dataManager.reverseRoute(selectedRoute);
+        } catch (error) {
+            this.showMessage('error', '反転エラー', error.message);
+            return;
+        }
+
+        // 開始・終了ポイントが変わるため、変更前の名前でドロップダウンの項目を探して更新
+        this.updateRouteOptionValue(selectedRoute, previousPoints);
+        this.updateRouteDataAndDisplay(selectedRoute, false, false);
+        this.recordHistory('ルート反転');
+    }
+
+    // 距離を表示用の文字列に変換（1km以上はkm単位）
+    formatDistance(meters) {
+        return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
     }
 
     // 中間点の順序に変更があったかチェック
@@ -560,7 +1675,8 @@ export class RouteEditor {
             const optimized = optimizedOrder[i];
             
             // 同じ位置にある中間点の座標が違う場合は順序が変わっている
-            if (original.imageX !== optimized.imageX || original.imageY !== optimized.imageY) {
+            if (original.imageX !== optimized.imageX || original.imageY !== optimized.imageY ||
+                original.lat !== optimized.lat || original.lng !== optimized.lng) {
                 return true;
             }
         }
@@ -639,13 +1755,14 @@ export class RouteEditor {
     }
 
     // 特定のルートのオプション値を更新（選択状態を維持）
-    updateRouteOptionValue(routeData) {
+    // previousPoints: 開始・終了ポイントを変更した場合の変更前の { startPoint, endPoint }
+    updateRouteOptionValue(routeData, previousPoints = null) {
         if (!this.elements.routeSelect) {
             return;
         }
 
         const newOptionValue = this.createRouteOptionValue(routeData, true);
-        const { startPoint, endPoint } = this.getRoutePoints(routeData);
+        const { startPoint, endPoint } = previousPoints || this.getRoutePoints(routeData);
         const routePrefix = `${startPoint} ～ ${endPoint}（`;
 
         // 現在選択されているオプションを見つけて更新
@@ -663,8 +1780,9 @@ export class RouteEditor {
     
     // ルート詳細情報の更新（削除されたフィールドに対応）
     updateRouteDetails(routeData) {
-        // 詳細フィールドは削除されたため、この関数は現在何も行わない
-        // 将来的に必要な場合のために関数は残しておく
+        // 詳細フィールドは推定歩行時間と結合先（選択中のルートから計算）
+        this.refreshHikingTimeDisplay();
+        this.refreshMergeCandidates();
     }
     
     // ルート選択変更時の処理
@@ -684,8 +1802,8 @@ export class RouteEditor {
             const allLoadedRoutes = this.dataManager.getLoadedRoutes();
             if (allLoadedRoutes.length > 0) {
                 try {
-                    this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (imageX, imageY) => {
-                        return this.waypointManager.convertImageToMapCoordinates(imageX, imageY);
+                    this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (waypoint) => {
+                        return this.waypointManager.getWaypointPosition(waypoint);
                     });
                 } catch (error) {
                     // ルート選択変更時の経路線再描画エラー（無視）
@@ -694,6 +1812,71 @@ export class RouteEditor {
         }
     }
 
+    // 読み込み済みルートと選択状態を取得（プロジェクト保存用）
+    getRoutesState() {
+        const loadedRoutes = this.dataManager.getLoadedRoutes();
+        return {
+            routes: loadedRoutes.map(route => this.dataManager.cloneRouteData(route)),
+            selectedIndex: loadedRoutes.indexOf(this.getSelectedRoute())
+        };
+    }
+
+    // ルートと選択状態を復元（現在のルートはすべて破棄）
+    restoreRoutesState(state) {
+        this.clearActionButtonSelection();
+        // 実行中のトレースは破棄するルートを対象にしているため中止
+        this.trailTracer.cancel();
+        this.dataManager.clearAllRoutes();
+        this.resetRouteSelector();
+
+        const routes = state && Array.isArray(state.routes) ? state.routes : [];
+        routes.forEach(route => {
+            const routeData = this.dataManager.cloneRouteData(route);
+            this.dataManager.addRoute(routeData);
+            // 編集済みのルートは更新マーク付きで表示
+            this.addRouteOption(this.createRouteOptionValue(routeData, true));
+        });
+
+        const selectedRoute = this.dataManager.getLoadedRoutes()[state ? state.selectedIndex : -1] || null;
+        if (selectedRoute && this.elements.routeSelect) {
+            this.elements.routeSelect.value = this.createRouteOptionValue(selectedRoute, true);
+        }
+
+        this.displayAllRoutes(selectedRoute);
+        this.updateMarkerDraggableState();
+        this.redrawAllRouteLines();
+        this.updateRouteDetails(selectedRoute);
+    }
+
+    // ルート選択用ドロップダウンリストをプレースホルダーのみに戻す
+    resetRouteSelector() {
+        const { routeSelect } = this.elements;
+        if (!routeSelect) return;
+
+        for (let i = routeSelect.options.length - 1; i >= 1; i--) {
+            routeSelect.removeChild(routeSelect.options[i]);
+        }
+        routeSelect.selectedIndex = 0;
+    }
+
+    // 全ルートの経路線を再描画
+    redrawAllRouteLines() {
+        this.optimizer.clearRouteLines();
+
+        const allLoadedRoutes = this.dataManager.getLoadedRoutes();
+        if (allLoadedRoutes.length === 0) {
+            return;
+        }
+
+        try {
+            this.optimizer.drawMultipleRouteSegments(allLoadedRoutes, (waypoint) => {
+                return this.waypointManager.getWaypointPosition(waypoint);
+            });
+        } catch (error) {
+            // 経路線再描画エラー（無視）
+        }
+    }
+
     // 選択されているルートをクリア（削除）する機能
     clearSelectedRoute() {
         const selectedRoute = this.getSelectedRoute();
@@ -703,6 +1886,11 @@ export class RouteEditor {
 
         const { startPoint, endPoint } = this.getRoutePoints(selectedRoute);
         
+        // 削除するルートをトレース中の場合は中止
+        if (this.currentTrace && this.currentTrace.route === selectedRoute) {
+            this.trailTracer.cancel();
+        }
+
         try {
             // 1. loadedRoutesから該当ルートを削除
             this.dataManager.removeRoute(selectedRoute);
@@ -739,6 +1927,8 @@ export class RouteEditor {
 
             // 5. 地図からマーカーをクリア（全てのルートを再描画）
             this.displayAllRoutes(null);
+            this.refreshHikingTimeDisplay();
+            this.refreshMergeCandidates();
             
         } catch (error) {
             this.showMessage('error', '削除エラー', `ルートの削除中にエラーが発生しました: ${error.message}`);
@@ -0,0 +1,267 @@
+// 読み込んだルートをGPSポイント間のネットワーク（グラフ）として扱い、最短経路の検索・表示と整合性の検査を行うモジュール
+// 各ルートを開始ポイント・終了ポイントを結ぶ辺（長さ = ルートの総延長）とし、両方向に通行できるものとする
+
+// ネットワーク検査で検出する問題の種類
+export const NETWORK_ISSUE_TYPES = {
+    UNKNOWN_ENDPOINT: 'unknownEndpoint',
+    DUPLICATE_ROUTE: 'duplicateRoute',
+    REVERSE_DUPLICATE_ROUTE: 'reverseDuplicateRoute',
+    ISOLATED_POINT: 'isolatedPoint',
+    DISCONNECTED_NETWORK: 'disconnectedNetwork'
+};
+
+export class RouteNetwork {
+    constructor(map) {
+        this.map = map;
+        this.adjacency = new Map(); // ポイントID → [{ to, length, route, coordinates }]
+        this.highlightLayers = [];
+    }
+
+    // ルートからネットワークを構築
+    // getRoutePoints(route) は { startPoint, endPoint }、getRouteGeometry(route) は { coordinates: [[lat, lng], ...], length: メートル } または null を返す
+    // 座標を取得できないルートは辺に含めず、スキップしたルートとして返す
+    build(routes, getRoutePoints, getRouteGeometry) {
+        this.adjacency = new Map();
+        const skippedRoutes = [];
+
+        routes.forEach(route => {
+            const { startPoint, endPoint } = getRoutePoints(route);
+            const geometry = getRouteGeometry(route);
+
+            if (!startPoint || !endPoint || !geometry || geometry.coordinates.length < 2) {
+                skippedRoutes.push(route);
+                return;
+            }
+
+            this.addEdge(startPoint, endPoint, geometry.length, route, geometry.coordinates);
+            this.addEdge(endPoint, startPoint, geometry.length, route, [...geometry.coordinates].reverse());
+        });
+
+        return { skippedRoutes };
+    }
+
+    addEdge(from, to, length, route, coordinates) {
+        if (!this.adjacency.has(from)) {
+            this.adjacency.set(from, []);
+        }
+        this.adjacency.get(from).push({ to, length, route, coordinates });
+    }
+
+    hasPoint(pointId) {
+        return this.adjacency.has(pointId);
+    }
+
+    getPointIds() {
+        return Array.from(this.adjacency.keys());
+    }
+
+    // ダイクストラ法で2点間の最短経路を検索（経路がない場合はnull）
+    // 戻り値: { pointIds: 経由するポイントID, edges: 通過する辺, coordinates: 経路全体の座標, distance: 総距離（メートル） }
+    findShortestPath(fromId, toId) {
+        if (!this.hasPoint(fromId) || !this.hasPoint(toId)) {
+            return null;
+        }
+
+        const distances = new Map([[fromId, 0]]);
+        const previous = new Map(); // ポイントID → { pointId, edge }
+        const visited = new Set();
+        const queue = [{ pointId: fromId, distance: 0 }];
+
+        while (queue.length > 0) {
+            // 未確定のうち距離が最小のポイントを取り出す（ルート数は多くないため単純な線形探索とする）
+            let minIndex = 0;
+            for (let i = 1; i < queue.length; i++) {
+                if (queue[i].distance < queue[minIndex].distance) {
+                    minIndex = i;
+                }
+            }
+            const { pointId, distance } = queue.splice(minIndex, 1)[0];
+
+            if (visited.has(pointId)) continue;
+            visited.add(pointId);
+
+            if (pointId === toId) break;
+
+            for (const edge of this.adjacency.get(pointId) || []) {
+                if (visited.has(edge.to)) continue;
+
+                const nextDistance = distance + edge.length;
+                if (!distances.has(edge.to) || nextDistance < distances.get(edge.to)) {
+                    distances.set(edge.to, nextDistance);
+                    previous.set(edge.to, { pointId, edge });
+                    queue.push({ pointId: edge.to, distance: nextDistance });
+                }
+            }
+        }
+
+        if (!visited.has(toId)) {
+            return null;
+        }
+
+        // 終点から逆にたどって経路を復元
+        const pointIds = [toId];
+        const edges = [];
+        let current = toId;
+        while (current !== fromId) {
+            const step = previous.get(current);
+            edges.unshift(step.edge);
+            pointIds.unshift(step.pointId);
+            current = step.pointId;
+        }
+
+        // 辺の座標を連結（接続点の重複は除く）
+        const coordinates = [];
+        edges.forEach((edge, index) => {
+            coordinates.push(...(index === 0 ? edge.coordinates : edge.coordinates.slice(1)));
+        });
+
+        return { pointIds, edges, coordinates, distance: distances.get(toId) };
+    }
+
+    // ルートとGPSポイントの整合性を検査
+    // 戻り値: [{ type, message, pointIds: 関係するポイントID, routes: 関係するルート }]
+    checkIntegrity(routes, getRoutePoints, gpsPointIds) {
+        const issues = [];
+        const gpsIdSet = new Set(gpsPointIds);
+        const routesByKey = new Map(); // "開始→終了" → [ルート]
+
+        routes.forEach(route => {
+            const { startPoint, endPoint } = getRoutePoints(route);
+
+            // 開始・終了ポイントがGPSポイントにない
+            const unknownIds = [startPoint, endPoint].filter(id => !gpsIdSet.has(id));
+            if (unknownIds.length > 0) {
+                issues.push({
+                    type: NETWORK_ISSUE_TYPES.UNKNOWN_ENDPOINT,
+                    message: `${startPoint} ～ ${endPoint}: ${unknownIds.join('、')} がGPSポイントにありません`,
+                    pointIds: [startPoint, endPoint].filter(id => gpsIdSet.has(id)),
+                    routes: [route]
+                });
+            }
+
+            const key = `${startPoint}→${endPoint}`;
+            if (!routesByKey.has(key)) {
+                routesByKey.set(key, []);
+            }
+            routesByKey.get(key).push(route);
+        });
+
+        // 同じ向きの重複・逆向きの重複（A→B と B→A）
+        routesByKey.forEach((sameRoutes, key) => {
+            const [startPoint, endPoint] = key.split('→');
+            if (sameRoutes.length > 1) {
+                issues.push({
+                    type: NETWORK_ISSUE_TYPES.DUPLICATE_ROUTE,
+                    message: `${startPoint} ～ ${endPoint}: 同じルートが${sameRoutes.length}件あります`,
+                    pointIds: [startPoint, endPoint],
+                    routes: sameRoutes
+                });
+            }
+
+            const reverseRoutes = routesByKey.get(`${endPoint}→${startPoint}`);
+            // 組み合わせごとに1回だけ報告
+            if (reverseRoutes && startPoint < endPoint) {
+                issues.push({
+                    type: NETWORK_ISSUE_TYPES.REVERSE_DUPLICATE_ROUTE,
+                    message: `${startPoint} ～ ${endPoint} と ${endPoint} ～ ${startPoint}: 逆向きの重複ルートです`,
+                    pointIds: [startPoint, endPoint],
+                    routes: [...sameRoutes, ...reverseRoutes]
+                });
+            }
+        });
+
+        // ルートが接続していないGPSポイント
+        const connectedIds = new Set();
+        routes.forEach(route => {
+            const { startPoint, endPoint } = getRoutePoints(route);
+            connectedIds.add(startPoint);
+            connectedIds.add(endPoint);
+        });
+        gpsPointIds.filter(id => !connectedIds.has(id)).forEach(id => {
+            issues.push({
+                type: NETWORK_ISSUE_TYPES.ISOLATED_POINT,
+                message: `${id}: 接続するルートがありません`,
+                pointIds: [id],
+                routes: []
+            });
+        });
+
+        // 分断されたネットワーク（最大のネットワーク以外を報告）
+        const components = this.findConnectedComponents(routes, getRoutePoints);
+        if (components.length > 1) {
+            components.slice(1).forEach(component => {
+                const pointIds = component.pointIds.sort();
+                issues.push({
+                    type: NETWORK_ISSUE_TYPES.DISCONNECTED_NETWORK,
+                    message: `${pointIds.join('、')}: 他のルートとつながっていません（${component.routes.length}ルート）`,
+                    pointIds: pointIds.filter(id => gpsIdSet.has(id)),
+                    routes: component.routes
+                });
+            });
+        }
+
+        return issues;
+    }
+
+    // ルートでつながったポイントのまとまりを取得（ポイント数の多い順）
+    findConnectedComponents(routes, getRoutePoints) {
+        const parent = new Map();
+        const find = (id) => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+
+        routes.forEach(route => {
+            const { startPoint, endPoint } = getRoutePoints(route);
+            [startPoint, endPoint].forEach(id => {
+                if (!parent.has(id)) parent.set(id, id);
+            });
+            parent.set(find(startPoint), find(endPoint));
+        });
+
+        const components = new Map(); // 代表ポイントID → { pointIds, routes }
+        parent.forEach((_, id) => {
+            const root = find(id);
+            if (!components.has(root)) {
+                components.set(root, { pointIds: [], routes: [] });
+            }
+            components.get(root).pointIds.push(id);
+        });
+        routes.forEach(route => {
+            components.get(find(getRoutePoints(route).startPoint)).routes.push(route);
+        });
+
+        return Array.from(components.values()).sort((a, b) => b.pointIds.length - a.pointIds.length);
+    }
+
+    // 最短経路を地図上に強調表示
+    highlightPath(path) {
+        this.clearHighlight();
+
+        if (!path || path.coordinates.length < 2) {
+            return;
+        }
+
+        const pathLine = L.polyline(path.coordinates, {
+            color: '#0066ff',
+            weight: 6,
+            opacity: 0.6,
+            pane: 'routeLines'
+        }).addTo(this.map);
+        this.highlightLayers.push(pathLine);
+
+        this.map.fitBounds(pathLine.getBounds().pad(0.1));
+    }
+
+    clearHighlight() {
+        this.highlightLayers.forEach(layer => {
+            if (this.map.hasLayer(layer)) {
+                this.map.removeLayer(layer);
+            }
+        });
+        this.highlightLayers = [];
+    }
+}
@@ -1,4 +1,14 @@
 // ルート最適化と経路線描画を専門に扱うモジュール
+
+// 厳密解（動的計画法）で最適化する中間点数の上限。これを超える場合は局所探索（2-opt／Or-opt）で改善する
+const EXACT_OPTIMIZATION_MAX_WAYPOINTS = 12;
+// 局所探索の改善ループの上限回数
+const LOCAL_SEARCH_MAX_ITERATIONS = 1000;
+// Or-optで移動する連続区間の最大長
+const OR_OPT_MAX_SEGMENT_LENGTH = 3;
+// 浮動小数点誤差による無限ループを防ぐための改善量の下限（メートル）
+const IMPROVEMENT_EPSILON = 1e-6;
+
 export class RouteOptimizer {
     constructor(map, gpsData) {
         this.map = map;
@@ -20,7 +30,7 @@ export class RouteOptimizer {
     }
 
     // 複数ルートの経路線を一度に描画する機能
-    drawMultipleRouteSegments(routes, convertImageToMapCoordinates) {
+    drawMultipleRouteSegments(routes, getWaypointPosition) {
         if (!routes || routes.length === 0) {
             return;
         }
@@ -31,7 +41,7 @@ export class RouteOptimizer {
 
             // 各ルートについて経路線を描画
             routes.forEach((route, routeIndex) => {
-                this.drawSingleRouteSegment(route, convertImageToMapCoordinates, routeIndex);
+                this.drawSingleRouteSegment(route, getWaypointPosition, routeIndex);
             });
 
         } catch (error) {
@@ -40,41 +50,16 @@ export class RouteOptimizer {
     }
 
     // 単一ルートの経路線を描画（内部用）
-    drawSingleRouteSegment(route, convertImageToMapCoordinates, routeIndex = 0) {
+    drawSingleRouteSegment(route, getWaypointPosition, routeIndex = 0) {
         try {
-            // 開始・終了ポイント名を取得
-            const { startPoint: startPointName, endPoint: endPointName } = this.getRoutePoints(route);
-            
-            // 開始・終了ポイントを取得
-            const startPoint = this.getGpsPointByName(startPointName);
-            const endPoint = this.getGpsPointByName(endPointName);
+            // 開始GPS → 中間点 → 終了GPSの座標配列を取得
+            const routeCoordinates = this.getRouteCoordinates(route, getWaypointPosition);
 
-            if (!startPoint || !endPoint) {
-                // 開始または終了ポイントが見つからない（無視）
+            if (!routeCoordinates) {
+                // 開始・終了ポイントまたは中間点の位置が見つからない（無視）
                 return;
             }
 
-            // 中間点を取得してindex順でソート
-            const wayPoints = this.getWaypoints(route);
-            const sortedWayPoints = [...wayPoints].sort((a, b) => (a.index || 0) - (b.index || 0));
-
-            // ルートポイントの座標配列を構築
-            const routeCoordinates = [];
-
-            // 開始ポイントを追加
-            routeCoordinates.push([startPoint.latitude, startPoint.longitude]);
-
-            // 中間点を追加
-            for (const waypoint of sortedWayPoints) {
-                const mapPosition = convertImageToMapCoordinates(waypoint.imageX, waypoint.imageY);
-                if (mapPosition) {
-                    routeCoordinates.push(mapPosition);
-                }
-            }
-
-            // 終了ポイントを追加
-            routeCoordinates.push([endPoint.latitude, endPoint.longitude]);
-
             // 線を描画（すべて赤色で統一）
             if (routeCoordinates.length >= 2) {
                 const routeLine = L.polyline(routeCoordinates, {
@@ -94,8 +79,55 @@ export class RouteOptimizer {
         }
     }
 
+    // ルートの座標配列（開始GPSポイント → 中間点 → 終了GPSポイント）を取得
+    // 開始・終了ポイントが見つからない場合、または位置を求められない中間点がある場合（画像未読み込みで画像座標のみの中間点など）はnullを返す
+    // （中間点を飛ばした短い線で距離・標高・GeoJSONを計算しないようにする）
+    // getWaypointPosition(waypoint) は中間点の地図上の位置 [lat, lng]（求められない場合はnull）を返す
+    getRouteCoordinates(route, getWaypointPosition) {
+        const { startPoint: startPointName, endPoint: endPointName } = this.getRoutePoints(route);
+
+        const startPoint = this.getGpsPointByName(startPointName);
+        const endPoint = this.getGpsPointByName(endPointName);
+
+        if (!startPoint || !endPoint) {
+            return null;
+        }
+
+        // 中間点を取得してindex順でソート
+        const wayPoints = this.getWaypoints(route);
+        const sortedWayPoints = [...wayPoints].sort((a, b) => (a.index || 0) - (b.index || 0));
+
+        const routeCoordinates = [[startPoint.latitude, startPoint.longitude]];
+
+        for (const waypoint of sortedWayPoints) {
+            const mapPosition = getWaypointPosition(waypoint);
+            if (!mapPosition) {
+                return null;
+            }
+            routeCoordinates.push(mapPosition);
+        }
+
+        routeCoordinates.push([endPoint.latitude, endPoint.longitude]);
+
+        return routeCoordinates;
+    }
+
+    // 座標配列（[lat, lng]の配列）の総延長を計算（メートル単位）
+    calculatePathLength(coordinates) {
+        let totalLength = 0;
+
+        for (let i = 1; i < coordinates.length; i++) {
+            totalLength += this.calculateDistance(
+                { lat: coordinates[i - 1][0], lng: coordinates[i - 1][1] },
+                { lat: coordinates[i][0], lng: coordinates[i][1] }
+            );
+        }
+
+        return totalLength;
+    }
+
     // 経路線を描画する機能（既存）
-    drawRouteSegments(selectedRoute, convertImageToMapCoordinates) {
+    drawRouteSegments(selectedRoute, getWaypointPosition) {
         if (!selectedRoute) {
             throw new Error('ルートを選択してください。');
         }
@@ -131,7 +163,7 @@ export class RouteOptimizer {
 
             // 中間点を追加
             for (const waypoint of sortedWayPoints) {
-                const mapPosition = convertImageToMapCoordinates(waypoint.imageX, waypoint.imageY);
+                const mapPosition = getWaypointPosition(waypoint);
                 if (mapPosition) {
                     routeCoordinates.push(mapPosition);
                 }
@@ -160,7 +192,8 @@ export class RouteOptimizer {
     }
 
     // ルート最適化機能（中間点の順序を最適化して総距離を最小化）
-    optimizeRoute(selectedRoute, convertImageToMapCoordinates) {
+    // 戻り値: { waypoints: 最適化後の中間点配列, originalDistance: 最適化前の総距離, optimizedDistance: 最適化後の総距離 }（メートル）
+    optimizeRoute(selectedRoute, getWaypointPosition) {
         if (!selectedRoute) {
             throw new Error('ルートを選択してください。');
         }
@@ -182,10 +215,11 @@ export class RouteOptimizer {
                 throw new Error('最適化する中間点がありません。');
             }
 
-            // 中間点を地図座標に変換
+            // 中間点を現在の順序（index順）で地図座標に変換
+            const sortedWayPoints = [...wayPoints].sort((a, b) => (a.index || 0) - (b.index || 0));
             const waypointCoords = [];
-            for (const waypoint of wayPoints) {
-                const mapPosition = convertImageToMapCoordinates(waypoint.imageX, waypoint.imageY);
+            for (const waypoint of sortedWayPoints) {
+                const mapPosition = getWaypointPosition(waypoint);
                 if (mapPosition) {
                     waypointCoords.push({
                         ...waypoint,
@@ -198,7 +232,7 @@ export class RouteOptimizer {
             // 最適化前の距離を計算
             const originalDistance = this.calculateTotalDistance(startPoint, endPoint, waypointCoords);
 
-            // 最適化を実行（貪欲法）
+            // 最適化を実行（開始・終了点を固定した経路の巡回順序）
             const optimizedOrder = this.optimizeWaypointOrder(startPoint, endPoint, waypointCoords);
 
             // 最適化後の距離を計算
@@ -209,7 +243,7 @@ export class RouteOptimizer {
                 waypoint.index = index + 1;
             });
 
-            return optimizedOrder;
+            return { waypoints: optimizedOrder, originalDistance, optimizedDistance };
 
         } catch (error) {
             throw new Error(`ルートの最適化中にエラーが発生しました: ${error.message}`);
@@ -258,35 +292,203 @@ export class RouteOptimizer {
         return totalDistance;
     }
 
-    // 貪欲法による中間点順序最適化
+    // 開始・終了点を固定した中間点の巡回順序を最適化
+    // 中間点が少ない場合は動的計画法で厳密解を求め、多い場合は最近傍法の初期解を2-opt／Or-optで改善する
     optimizeWaypointOrder(startPoint, endPoint, waypoints) {
         if (waypoints.length <= 1) {
             return [...waypoints];
         }
 
-        const optimizedOrder = [];
-        const remaining = [...waypoints];
-        let currentPoint = startPoint;
+        const distances = this.createDistanceMatrix(startPoint, endPoint, waypoints);
+
+        let order;
+        if (waypoints.length <= EXACT_OPTIMIZATION_MAX_WAYPOINTS) {
+            order = this.solveExactOrder(distances, waypoints.length);
+        } else {
+            // 最近傍法の初期解と現在の順序の両方を改善し、短い方を採用
+            const candidates = [
+                this.buildNearestNeighbourOrder(distances, waypoints.length),
+                waypoints.map((_, index) => index + 1)
+            ].map(candidate => this.improveOrder(distances, candidate));
+
+            order = candidates.reduce((best, candidate) =>
+                this.calculateOrderCost(distances, candidate) < this.calculateOrderCost(distances, best) ? candidate : best
+            );
+        }
+
+        return order.map(node => waypoints[node - 1]);
+    }
+
+    // 距離行列を作成（0: 開始点、1〜n: 中間点、n+1: 終了点）
+    createDistanceMatrix(startPoint, endPoint, waypoints) {
+        const points = [startPoint, ...waypoints, endPoint];
+        return points.map(from => points.map(to => (from === to ? 0 : this.calculateDistance(from, to))));
+    }
+
+    // 順序（中間点のノード番号の配列）の総距離
+    calculateOrderCost(distances, order) {
+        const endNode = distances.length - 1;
+        let cost = 0;
+        let previous = 0;
+        for (const node of order) {
+            cost += distances[previous][node];
+            previous = node;
+        }
+        return cost + distances[previous][endNode];
+    }
+
+    // 動的計画法（Held-Karp）による厳密解
+    solveExactOrder(distances, count) {
+        const endNode = count + 1;
+        const stateCount = 1 << count;
+        // cost[mask * count + last]: 集合maskの中間点を訪問し、中間点lastで終わる最短距離
+        const cost = new Float64Array(stateCount * count).fill(Infinity);
+        const parent = new Int8Array(stateCount * count).fill(-1);
+
+        for (let last = 0; last < count; last++) {
+            cost[(1 << last) * count + last] = distances[0][last + 1];
+        }
+
+        for (let mask = 1; mask < stateCount; mask++) {
+            for (let last = 0; last < count; last++) {
+                const currentCost = cost[mask * count + last];
+                if (!(mask & (1 << last)) || currentCost === Infinity) continue;
 
-        // 貪欲法: 現在地点から最も近い点を順次選択
-        while (remaining.length > 0) {
-            let nearestIndex = 0;
-            let nearestDistance = this.calculateDistance(currentPoint, remaining[0]);
+                for (let next = 0; next < count; next++) {
+                    if (mask & (1 << next)) continue;
 
-            for (let i = 1; i < remaining.length; i++) {
-                const distance = this.calculateDistance(currentPoint, remaining[i]);
-                if (distance < nearestDistance) {
-                    nearestDistance = distance;
-                    nearestIndex = i;
+                    const nextMask = mask | (1 << next);
+                    const nextCost = currentCost + distances[last + 1][next + 1];
+                    if (nextCost < cost[nextMask * count + next]) {
+                        cost[nextMask * count + next] = nextCost;
+                        parent[nextMask * count + next] = last;
+                    }
                 }
             }
+        }
+
+        // 終了点までの距離を加えて最短の経路を選択
+        const fullMask = stateCount - 1;
+        let bestLast = 0;
+        let bestCost = Infinity;
+        for (let last = 0; last < count; last++) {
+            const totalCost = cost[fullMask * count + last] + distances[last + 1][endNode];
+            if (totalCost < bestCost) {
+                bestCost = totalCost;
+                bestLast = last;
+            }
+        }
+
+        // 経路を逆にたどって順序を復元
+        const order = [];
+        let mask = fullMask;
+        let last = bestLast;
+        while (last !== -1) {
+            order.unshift(last + 1);
+            const previous = parent[mask * count + last];
+            mask &= ~(1 << last);
+            last = previous;
+        }
 
-            const nearestWaypoint = remaining.splice(nearestIndex, 1)[0];
-            optimizedOrder.push(nearestWaypoint);
-            currentPoint = nearestWaypoint;
+        return order;
+    }
+
+    // 最近傍法による初期解
+    buildNearestNeighbourOrder(distances, count) {
+        const remaining = new Set(Array.from({ length: count }, (_, index) => index + 1));
+        const order = [];
+        let current = 0;
+
+        while (remaining.size > 0) {
+            let nearest = null;
+            for (const node of remaining) {
+                if (nearest === null || distances[current][node] < distances[current][nearest]) {
+                    nearest = node;
+                }
+            }
+            order.push(nearest);
+            remaining.delete(nearest);
+            current = nearest;
+        }
+
+        return order;
+    }
+
+    // 2-opt と Or-opt を改善がなくなるまで繰り返す
+    improveOrder(distances, initialOrder) {
+        let order = [...initialOrder];
+
+        for (let iteration = 0; iteration < LOCAL_SEARCH_MAX_ITERATIONS; iteration++) {
+            const improved = this.applyTwoOpt(distances, order) || this.applyOrOpt(distances, order);
+            if (!improved) break;
+        }
+
+        return order;
+    }
+
+    // 2-opt: 区間を反転して交差を解消（最初に見つかった改善を適用）
+    applyTwoOpt(distances, order) {
+        // 開始点・終了点を含めた経路で考える
+        const path = [0, ...order, distances.length - 1];
+
+        for (let i = 0; i < path.length - 3; i++) {
+            for (let j = i + 2; j < path.length - 1; j++) {
+                const delta = distances[path[i]][path[j]] + distances[path[i + 1]][path[j + 1]]
+                    - distances[path[i]][path[i + 1]] - distances[path[j]][path[j + 1]];
+
+                if (delta < -IMPROVEMENT_EPSILON) {
+                    // path[i + 1]〜path[j] を反転（orderでは1つ前の位置）
+                    const reversed = order.slice(i, j).reverse();
+                    order.splice(i, j - i, ...reversed);
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    // Or-opt: 連続する1〜3点を別の位置へ移動（向きの反転も試す）
+    applyOrOpt(distances, order) {
+        const endNode = distances.length - 1;
+        const nodeAt = (index) => (index < 0 ? 0 : index >= order.length ? endNode : order[index]);
+
+        for (let length = 1; length <= Math.min(OR_OPT_MAX_SEGMENT_LENGTH, order.length - 1); length++) {
+            for (let start = 0; start + length <= order.length; start++) {
+                const segmentFirst = order[start];
+                const segmentLast = order[start + length - 1];
+                const before = nodeAt(start - 1);
+                const after = nodeAt(start + length);
+
+                // 区間を取り除いたときの短縮量
+                const removeGain = distances[before][segmentFirst] + distances[segmentLast][after] - distances[before][after];
+
+                const rest = [...order.slice(0, start), ...order.slice(start + length)];
+                const restNodeAt = (index) => (index < 0 ? 0 : index >= rest.length ? endNode : rest[index]);
+
+                for (let position = 0; position <= rest.length; position++) {
+                    if (position === start) continue;
+
+                    const previous = restNodeAt(position - 1);
+                    const next = restNodeAt(position);
+                    const forwardCost = distances[previous][segmentFirst] + distances[segmentLast][next] - distances[previous][next];
+                    const reverseCost = distances[previous][segmentLast] + distances[segmentFirst][next] - distances[previous][next];
+                    const insertCost = Math.min(forwardCost, reverseCost);
+
+                    if (insertCost - removeGain < -IMPROVEMENT_EPSILON) {
+                        const segment = order.slice(start, start + length);
+                        if (reverseCost < forwardCost) {
+                            segment.reverse();
+                        }
+                        rest.splice(position, 0, ...segment);
+                        order.splice(0, order.length, ...rest);
+                        return true;
+                    }
+                }
+            }
         }
 
-        return optimizedOrder;
+        return false;
     }
 
     // GPSポイントを名前で検索
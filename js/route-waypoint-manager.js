@@ -1,10 +1,94 @@
 // ウェイポイント管理機能を専門に扱うモジュール
+import { CONFIG } from './constants.js';
+
+// 中間点の位置の基準
+// IMAGE: 画像座標（imageX, imageY）から現在の画像の位置合わせで地図上の位置を求める
+// GEOGRAPHIC: 緯度経度（lat, lng）を基準とし、画像の位置合わせをやり直しても地図上の位置は変わらない
+export const WAYPOINT_ANCHOR_MODES = {
+    IMAGE: 'image',
+    GEOGRAPHIC: 'geographic'
+};
+
+// 緯度経度の保存桁数（小数点以下7桁 ≒ 1cm）
+const LAT_LNG_PRECISION = 1e7;
+
 export class RouteWaypointManager {
     constructor(map, imageOverlay, gpsData) {
         this.map = map;
         this.imageOverlay = imageOverlay;
         this.gpsData = gpsData;
         this.waypointMarkers = [];
+        this.anchorMode = RouteWaypointManager.loadAnchorMode();
+    }
+
+    static loadAnchorMode() {
+        try {
+            const mode = localStorage.getItem(CONFIG.WAYPOINT_ANCHOR_STORAGE_KEY);
+            return mode === WAYPOINT_ANCHOR_MODES.GEOGRAPHIC ? mode : WAYPOINT_ANCHOR_MODES.IMAGE;
+        } catch (error) {
+            return WAYPOINT_ANCHOR_MODES.IMAGE;
+        }
+    }
+
+    setAnchorMode(mode) {
+        this.anchorMode = mode;
+        try {
+            localStorage.setItem(CONFIG.WAYPOINT_ANCHOR_STORAGE_KEY, mode);
+        } catch (error) {
+            // 保存できない場合は今回のみ有効
+        }
+    }
+
+    getAnchorMode() {
+        return this.anchorMode;
+    }
+
+    hasLatLng(point) {
+        return typeof point.lat === 'number' && typeof point.lng === 'number';
+    }
+
+    hasImageCoordinates(point) {
+        return typeof point.imageX === 'number' && typeof point.imageY === 'number';
+    }
+
+    // 中間点の地図上の位置（[lat, lng]）を取得。求められない場合はnull
+    // 緯度経度基準の場合は lat, lng を優先し、画像基準でも画像が読み込まれていなければ lat, lng を使う
+    getWaypointPosition(point) {
+        if (this.anchorMode === WAYPOINT_ANCHOR_MODES.GEOGRAPHIC && this.hasLatLng(point)) {
+            return [point.lat, point.lng];
+        }
+
+        const mapPosition = this.hasImageCoordinates(point)
+            ? this.convertImageToMapCoordinates(point.imageX, point.imageY)
+            : null;
+        if (mapPosition) {
+            return mapPosition;
+        }
+
+        return this.hasLatLng(point) ? [point.lat, point.lng] : null;
+    }
+
+    // 中間点の位置を地図座標で設定（緯度経度と、画像が読み込まれている場合は画像座標の両方を更新）
+    setWaypointPosition(point, lat, lng) {
+        point.lat = Math.round(lat * LAT_LNG_PRECISION) / LAT_LNG_PRECISION;
+        point.lng = Math.round(lng * LAT_LNG_PRECISION) / LAT_LNG_PRECISION;
+
+        const imageCoords = this.convertMapToImageCoordinates(lat, lng);
+        if (imageCoords) {
+            point.imageX = Math.round(imageCoords.x);
+            point.imageY = Math.round(imageCoords.y);
+        }
+    }
+
+    // 緯度経度と画像座標を基準に合わせてそろえる（保存前や基準の切り替え時）
+    // 画像基準では画像座標から緯度経度を、緯度経度基準では緯度経度から画像座標を求め直す
+    syncWaypointCoordinates(routeData) {
+        this.getWaypoints(routeData).forEach(point => {
+            const position = this.getWaypointPosition(point);
+            if (position) {
+                this.setWaypointPosition(point, position[0], position[1]);
+            }
+        });
     }
 
     // ウェイポイント配列を取得する統一メソッド
@@ -12,39 +96,123 @@ export class RouteWaypointManager {
         return routeData.wayPoint || routeData.wayPoints || routeData.points || [];
     }
 
-    // 地図にウェイポイントを追加
-    addWaypointToRoute(latlng, routeData, onUpdate) {
+    // 地図にウェイポイントを追加（クリック位置に最も近い経路線の区間に挿入し、既存の順序は維持）
+    // routeCoordinates: 経路線の座標配列（開始GPSポイント → 中間点 → 終了GPSポイント）。取得できない場合はnull
+    addWaypointToRoute(latlng, routeData, routeCoordinates, onUpdate) {
         // GPSポイントとの重複のみチェック（他のルートとの重複は許可）
         if (this.isNearGPSPoint(latlng)) {
             return;
         }
 
-        // 地図座標を画像座標に変換
-        const imageCoords = this.convertMapToImageCoordinates(latlng.lat, latlng.lng);
-        if (!imageCoords) {
-            throw new Error('画像座標への変換に失敗しました。');
+        // 中間点の配列がない場合は作成
+        if (!Array.isArray(routeData.wayPoint || routeData.wayPoints || routeData.points)) {
+            routeData.wayPoint = [];
         }
-
         const wayPoints = this.getWaypoints(routeData);
-        const nextIndex = this.getNextWaypointIndex(routeData);
         
         const newWaypoint = {
             type: "waypoint",
-            index: nextIndex,
-            imageX: Math.round(imageCoords.x),
-            imageY: Math.round(imageCoords.y)
+            index: 0 // 挿入後に振り直す
         };
+        // 画像が読み込まれていない場合は緯度経度のみ
+        this.setWaypointPosition(newWaypoint, latlng.lat, latlng.lng);
 
-        // ルートデータのウェイポイント配列に追加
-        if (wayPoints && Array.isArray(wayPoints)) {
-            wayPoints.push(newWaypoint);
-        } else {
-            routeData.wayPoint = [newWaypoint];
-        }
+        // index順に並べた中間点の、クリック位置に対応する位置に挿入
+        const sortedWayPoints = [...wayPoints].sort((a, b) => (a.index || 0) - (b.index || 0));
+        const insertPosition = this.findInsertPosition(latlng, sortedWayPoints, routeCoordinates);
+        sortedWayPoints.splice(insertPosition, 0, newWaypoint);
+
+        // 配列自体は差し替えずに並べ替え、indexを振り直す
+        wayPoints.splice(0, wayPoints.length, ...sortedWayPoints);
+        this.renumberWaypoints(wayPoints);
 
         onUpdate(routeData);
     }
 
+    // 連続した複数の中間点（線のトレース結果など）をまとめて挿入
+    // 経路線の開始側に近い端が先になるよう向きをそろえ、先頭の中間点に最も近い区間に挿入する
+    // positions: 挿入する中間点の地図座標 [[lat, lng], ...]
+    insertWaypointSection(routeData, positions, routeCoordinates) {
+        if (!Array.isArray(routeData.wayPoint || routeData.wayPoints || routeData.points)) {
+            routeData.wayPoint = [];
+        }
+        const wayPoints = this.getWaypoints(routeData);
+
+        const section = positions.map(([lat, lng]) => {
+            const point = { type: "waypoint", index: 0 };
+            this.setWaypointPosition(point, lat, lng);
+            return point;
+        });
+
+        const routeStart = Array.isArray(routeCoordinates) && routeCoordinates.length > 0 ? routeCoordinates[0] : null;
+        if (routeStart && section.length > 1) {
+            const first = L.latLng(positions[0]);
+            const last = L.latLng(positions[positions.length - 1]);
+            if (last.distanceTo(routeStart) < first.distanceTo(routeStart)) {
+                section.reverse();
+            }
+        }
+
+        const sortedWayPoints = [...wayPoints].sort((a, b) => (a.index || 0) - (b.index || 0));
+        const insertPosition = this.findInsertPosition(L.latLng(this.getWaypointPosition(section[0])), sortedWayPoints, routeCoordinates);
+        sortedWayPoints.splice(insertPosition, 0, ...section);
+
+        wayPoints.splice(0, wayPoints.length, ...sortedWayPoints);
+        this.renumberWaypoints(wayPoints);
+        return section;
+    }
+
+    // 新しい中間点の挿入位置（index順に並べた中間点配列での位置）を取得
+    // クリック位置から画面上で最も近い経路線の区間を探し、その区間の両端の間に挿入する
+    findInsertPosition(latlng, sortedWayPoints, routeCoordinates) {
+        // 開始・終了ポイントが見つからない場合は中間点だけを結んだ線で判定
+        const hasEndpoints = Array.isArray(routeCoordinates) && routeCoordinates.length === sortedWayPoints.length + 2;
+        const coordinates = hasEndpoints
+            ? routeCoordinates
+            : sortedWayPoints
+                .map(point => this.getWaypointPosition(point))
+                .filter(position => position);
+
+        if (coordinates.length < 2 || (!hasEndpoints && coordinates.length !== sortedWayPoints.length)) {
+            return sortedWayPoints.length;
+        }
+
+        const clickPixel = this.map.latLngToContainerPoint(latlng);
+        const pixels = coordinates.map(position => this.map.latLngToContainerPoint(position));
+
+        let closestSegment = 0;
+        let minDistance = Infinity;
+        for (let i = 0; i < pixels.length - 1; i++) {
+            const distance = L.LineUtil.pointToSegmentDistance(clickPixel, pixels[i], pixels[i + 1]);
+            if (distance < minDistance) {
+                minDistance = distance;
+                closestSegment = i;
+            }
+        }
+
+        if (hasEndpoints) {
+            // 区間i（coordinates[i]〜coordinates[i + 1]）の間 = 中間点配列の位置i
+            return closestSegment;
+        }
+
+        // 中間点だけの線の場合、端の区間の外側をクリックしたときは先頭・末尾に追加
+        const closestPoint = L.LineUtil.closestPointOnSegment(clickPixel, pixels[closestSegment], pixels[closestSegment + 1]);
+        if (closestSegment === 0 && closestPoint.equals(pixels[0])) {
+            return 0;
+        }
+        if (closestSegment === pixels.length - 2 && closestPoint.equals(pixels[pixels.length - 1])) {
+            return sortedWayPoints.length;
+        }
+        return closestSegment + 1;
+    }
+
+    // 配列の順に中間点のindexを1から振り直す
+    renumberWaypoints(wayPoints) {
+        wayPoints.forEach((point, arrayIndex) => {
+            point.index = arrayIndex + 1;
+        });
+    }
+
     // ウェイポイントを削除
     deleteWaypointFromRoute(latlng, routeData, onUpdate) {
         const wayPoints = this.getWaypoints(routeData);
@@ -70,9 +238,7 @@ export class RouteWaypointManager {
         }
 
         // 対象のウェイポイントを検索
-        const targetIndex = wayPoints.findIndex(point => 
-            point.imageX === targetPoint.imageX && point.imageY === targetPoint.imageY
-        );
+        const targetIndex = wayPoints.indexOf(targetPoint);
 
         if (targetIndex !== -1) {
             wayPoints.splice(targetIndex, 1);
@@ -87,7 +253,7 @@ export class RouteWaypointManager {
         const threshold = 100; // ピクセル単位の閾値
 
         wayPoints.forEach((point, index) => {
-            const mapPosition = this.convertImageToMapCoordinates(point.imageX, point.imageY);
+            const mapPosition = this.getWaypointPosition(point);
             if (mapPosition) {
                 const mapDistance = latlng.distanceTo(mapPosition);
                 const markerPixel = this.map.latLngToContainerPoint(mapPosition);
@@ -104,26 +270,6 @@ export class RouteWaypointManager {
         return closestIndex;
     }
 
-    // 次のウェイポイントindexを取得
-    getNextWaypointIndex(routeData) {
-        const wayPoints = this.getWaypoints(routeData);
-        
-        if (wayPoints.length === 0) {
-            return 1; // 最初のウェイポイントはindex 1から開始
-        }
-        
-        // 既存のindex値の最大値を取得
-        const existingIndexes = wayPoints
-            .map(point => point.index)
-            .filter(index => typeof index === 'number' && !isNaN(index));
-        
-        if (existingIndexes.length === 0) {
-            return 1; // index が設定されていないウェイポイントがある場合
-        }
-        
-        return Math.max(...existingIndexes) + 1;
-    }
-
     // ウェイポイントデータを初期化（type、indexが設定されていない場合）
     initializeWaypointData(routeData) {
         const wayPoints = this.getWaypoints(routeData);
@@ -171,90 +317,30 @@ export class RouteWaypointManager {
         return false;
     }
 
-    // 地図座標を画像座標に変換
+    // 地図座標を画像座標に変換（ジオリファレンスの変換が設定されている場合はそれに従う）
     convertMapToImageCoordinates(lat, lng) {
         if (!this.imageOverlay || !this.imageOverlay.imageOverlay) {
             return null;
         }
 
-        const overlay = this.imageOverlay.imageOverlay;
-        const bounds = overlay.getBounds();
-        const imageElement = overlay.getElement();
-
-        if (!imageElement) {
-            return null;
-        }
-
-        // 画像の元のサイズを取得
-        const imageNaturalWidth = imageElement.naturalWidth;
-        const imageNaturalHeight = imageElement.naturalHeight;
-
-        if (imageNaturalWidth === 0 || imageNaturalHeight === 0) {
-            return null;
-        }
-
-        // 地図座標から画像内の相対位置を計算
-        const relativeX = (lng - bounds.getWest()) / (bounds.getEast() - bounds.getWest());
-        const relativeY = (bounds.getNorth() - lat) / (bounds.getNorth() - bounds.getSouth());
-
-        // 画像座標に変換
-        const imageX = relativeX * imageNaturalWidth;
-        const imageY = relativeY * imageNaturalHeight;
-
-        return { x: imageX, y: imageY };
+        return this.imageOverlay.latLngToImage(lat, lng);
     }
 
-    // 画像座標から地図座標への変換
+    // 画像座標から地図座標への変換（ジオリファレンスの変換が設定されている場合はそれに従う）
     convertImageToMapCoordinates(imageX, imageY) {
         if (!this.imageOverlay || !this.imageOverlay.imageOverlay) {
             return null;
         }
         
-        const overlay = this.imageOverlay.imageOverlay;
-        const bounds = overlay.getBounds();
-        const imageElement = overlay.getElement();
-        
-        if (!imageElement) {
-            return null;
-        }
-        
-        // 画像の元のサイズを取得
-        const imageNaturalWidth = imageElement.naturalWidth;
-        const imageNaturalHeight = imageElement.naturalHeight;
-        
-        if (imageNaturalWidth === 0 || imageNaturalHeight === 0) {
-            return null;
-        }
-        
-        // 画像内の相対位置を計算（元画像サイズベース）
-        const relativeX = imageX / imageNaturalWidth;
-        const relativeY = imageY / imageNaturalHeight;
-        
-        // 地図座標に変換
-        const lat = bounds.getNorth() - (bounds.getNorth() - bounds.getSouth()) * relativeY;
-        const lng = bounds.getWest() + (bounds.getEast() - bounds.getWest()) * relativeX;
-        
-        return [lat, lng];
+        return this.imageOverlay.imageToLatLng(imageX, imageY);
     }
 
     // ウェイポイントのドラッグ終了時の処理
     onWaypointDragEnd(e, waypointData, routeData, onUpdate) {
         const newPosition = e.target.getLatLng();
         
-        // 新しい地図座標を画像座標に変換
-        const imageCoords = this.convertMapToImageCoordinates(newPosition.lat, newPosition.lng);
-        if (!imageCoords) {
-            // 変換に失敗した場合は元の位置に戻す
-            const oldPosition = this.convertImageToMapCoordinates(waypointData.imageX, waypointData.imageY);
-            if (oldPosition) {
-                e.target.setLatLng(oldPosition);
-            }
-            throw new Error('画像座標への変換に失敗しました。');
-        }
-
-        // ウェイポイントデータを更新（四捨五入して整数化）
-        waypointData.imageX = Math.round(imageCoords.x);
-        waypointData.imageY = Math.round(imageCoords.y);
+        // ウェイポイントデータを更新（緯度経度と画像座標）
+        this.setWaypointPosition(waypointData, newPosition.lat, newPosition.lng);
 
         onUpdate(routeData);
     }
@@ -273,62 +359,57 @@ export class RouteWaypointManager {
         
         if (wayPoints && Array.isArray(wayPoints)) {
             wayPoints.forEach((point, index) => {
-                const imageX = point.imageX;
-                const imageY = point.imageY;
+                // 中間点の地図上の位置（画像座標または緯度経度から）
+                const mapPosition = this.getWaypointPosition(point);
                 
-                if (imageX !== undefined && imageY !== undefined) {
-                    // 画像座標から地図座標への変換
-                    const mapPosition = this.convertImageToMapCoordinates(imageX, imageY);
+                if (mapPosition) {
+                    // 選択状態に応じてアイコンサイズを決定
+                    const iconClass = isSelected ? 'waypoint-marker-icon' : 'waypoint-marker-icon waypoint-marker-icon-small';
+                    const iconSize = isSelected ? [12, 12] : [8, 8];
+                    const iconAnchor = isSelected ? [6, 6] : [4, 4];
                     
-                    if (mapPosition) {
-                        // 選択状態に応じてアイコンサイズを決定
-                        const iconClass = isSelected ? 'waypoint-marker-icon' : 'waypoint-marker-icon waypoint-marker-icon-small';
-                        const iconSize = isSelected ? [12, 12] : [8, 8];
-                        const iconAnchor = isSelected ? [6, 6] : [4, 4];
-                        
-                        // オレンジ菱形マーカーを作成
-                        const diamondIcon = L.divIcon({
-                            className: iconClass,
-                            html: '<div class="diamond"></div>',
-                            iconSize: iconSize,
-                            iconAnchor: iconAnchor
+                    // オレンジ菱形マーカーを作成
+                    const diamondIcon = L.divIcon({
+                        className: iconClass,
+                        html: '<div class="diamond"></div>',
+                        iconSize: iconSize,
+                        iconAnchor: iconAnchor
+                    });
+                    
+                    const marker = L.marker(mapPosition, {
+                        icon: diamondIcon,
+                        draggable: false, // 初期状態ではドラッグ無効
+                        zIndexOffset: isSelected ? 1000 : 500,
+                        pane: 'waypointMarkers'
+                    }).addTo(this.map);
+
+                    // マーカーにウェイポイントデータを保存
+                    marker.waypointData = point;
+                    marker.routeData = routeData;
+                    
+                    // 動的更新コールバックを設定
+                    if (onDynamicUpdate) {
+                        marker.onDynamicUpdate = onDynamicUpdate;
+                    }
+                    
+                    // 選択されたルートのみドラッグ終了時の処理を追加
+                    if (isSelected) {
+                        // ドラッグ終了時の処理を追加
+                        marker.on('dragend', (e) => {
+                            onWaypointDragEnd(e, point, routeData);
                         });
-                        
-                        const marker = L.marker(mapPosition, {
-                            icon: diamondIcon,
-                            draggable: false, // 初期状態ではドラッグ無効
-                            zIndexOffset: isSelected ? 1000 : 500,
-                            pane: 'waypointMarkers'
-                        }).addTo(this.map);
-
-                        // マーカーにウェイポイントデータを保存
-                        marker.waypointData = point;
-                        marker.routeData = routeData;
-                        
-                        // 動的更新コールバックを設定
-                        if (onDynamicUpdate) {
-                            marker.onDynamicUpdate = onDynamicUpdate;
-                        }
-                        
-                        // 選択されたルートのみドラッグ終了時の処理を追加
+                    }
+
+                    // 削除・分割モード用のクリックイベントを追加
+                    marker.on('click', (e) => {
                         if (isSelected) {
-                            // ドラッグ終了時の処理を追加
-                            marker.on('dragend', (e) => {
-                                onWaypointDragEnd(e, point, routeData);
-                            });
+                            onSpecificWaypointDelete(point, routeData);
+                            // 地図クリックイベントの伝播を停止
+                            L.DomEvent.stopPropagation(e);
                         }
-
-                        // 削除モード用のクリックイベントを追加
-                        marker.on('click', (e) => {
-                            if (isSelected) {
-                                onSpecificWaypointDelete(point, routeData);
-                                // 地図クリックイベントの伝播を停止
-                                L.DomEvent.stopPropagation(e);
-                            }
-                        });
-                        
-                        this.waypointMarkers.push(marker);
-                    }
+                    });
+                    
+                    this.waypointMarkers.push(marker);
                 }
             });
         }
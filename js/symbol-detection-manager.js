@@ -0,0 +1,474 @@
+// 画像上のポイント記号を自動検出し、確認・ID付けしてポイントJSONを作成するモジュール
+// 見本の記号を範囲選択し、似た位置を候補として表示する。候補は採否の切り替えとIDの入力ができる
+import { SymbolDetector } from './symbol-detector.js';
+import { FileHandler } from './file-handler.js';
+import { Validators } from './validators.js';
+import { CONFIG } from './constants.js';
+import { errorHandler } from './utils/error-handler.js';
+
+const CANDIDATE_COLORS = {
+    ACCEPTED: '#ff8c00',
+    REJECTED: '#999999'
+};
+
+export class SymbolDetectionManager {
+    constructor(map, pointOverlay) {
+        this.map = map;
+        this.pointOverlay = pointOverlay;
+        this.detector = new SymbolDetector();
+        this.fileHandler = new FileHandler();
+        this.sampleRect = null; // 見本の範囲（画像座標） { x, y, width, height }
+        this.sampleCorner = null; // 範囲選択中の1点目（画像座標）
+        this.sampleLayer = null;
+        this.isSelectingSample = false;
+        this.candidates = []; // [{ imageX, imageY, score, id, accepted, marker }]
+        this.handleMapClick = this.handleMapClick.bind(this);
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const selectSymbolSampleBtn = document.getElementById('selectSymbolSampleBtn');
+        const symbolThresholdInput = document.getElementById('symbolThresholdInput');
+        const detectSymbolsBtn = document.getElementById('detectSymbolsBtn');
+        const numberSymbolsBtn = document.getElementById('numberSymbolsBtn');
+        const applySymbolPointsBtn = document.getElementById('applySymbolPointsBtn');
+        const exportSymbolPointsBtn = document.getElementById('exportSymbolPointsBtn');
+
+        if (symbolThresholdInput) {
+            symbolThresholdInput.value = CONFIG.SYMBOL_MATCH_THRESHOLD;
+        }
+
+        if (selectSymbolSampleBtn) {
+            selectSymbolSampleBtn.addEventListener('click', () => {
+                if (this.isSelectingSample) {
+                    this.stopSampleSelection();
+                } else {
+                    this.startSampleSelection();
+                }
+            });
+        }
+
+        if (detectSymbolsBtn) {
+            detectSymbolsBtn.addEventListener('click', () => {
+                if (this.detector.isRunning()) {
+                    this.detector.cancel();
+                } else {
+                    this.detectSymbols();
+                }
+            });
+        }
+
+        if (numberSymbolsBtn) {
+            numberSymbolsBtn.addEventListener('click', () => this.numberCandidates());
+        }
+
+        if (applySymbolPointsBtn) {
+            applySymbolPointsBtn.addEventListener('click', () => this.applyToPointOverlay());
+        }
+
+        if (exportSymbolPointsBtn) {
+            exportSymbolPointsBtn.addEventListener('click', () => this.exportPointJson());
+        }
+    }
+
+    getImageOverlay() {
+        return this.pointOverlay.imageOverlay;
+    }
+
+    // 見本の範囲選択を開始（記号を囲む2点を地図上でクリック）
+    startSampleSelection() {
+        const imageOverlay = this.getImageOverlay();
+        if (!imageOverlay || !imageOverlay.getCurrentImageInfo().isLoaded) {
+            errorHandler.showError('記号の検出', '画像を読み込んでください');
+            return;
+        }
+
+        // ポイント（JSON）の編集操作は終了する（地図のクリックでポイントが追加されないようにする）
+        const { imagePointEditor } = this.pointOverlay;
+        if (imagePointEditor.selectedAction) {
+            imagePointEditor.clearAction();
+        }
+
+        this.isSelectingSample = true;
+        this.sampleCorner = null;
+        this.map.on('click', this.handleMapClick);
+        this.map.getContainer().style.cursor = 'crosshair';
+        this.setHint('見本の記号を囲む範囲の1つ目の角をクリック');
+        this.updateSelectButton();
+    }
+
+    stopSampleSelection() {
+        this.isSelectingSample = false;
+        this.sampleCorner = null;
+        this.map.off('click', this.handleMapClick);
+        this.map.getContainer().style.cursor = '';
+        this.setHint('');
+        this.updateSelectButton();
+    }
+
+    handleMapClick(e) {
+        const imageOverlay = this.getImageOverlay();
+        const imageCoords = imageOverlay.latLngToImage(e.latlng.lat, e.latlng.lng);
+        const { width, height } = imageOverlay.getImageDimensions();
+        if (!imageCoords || imageCoords.x < 0 || imageCoords.y < 0 || imageCoords.x >= width || imageCoords.y >= height) {
+            this.setHint('画像の範囲内をクリックしてください');
+            return;
+        }
+
+        const point = { x: Math.round(imageCoords.x), y: Math.round(imageCoords.y) };
+        if (!this.sampleCorner) {
+            this.sampleCorner = point;
+            this.setHint('見本の記号を囲む範囲の2つ目の角をクリック');
+            return;
+        }
+
+        const sampleRect = {
+            x: Math.min(this.sampleCorner.x, point.x),
+            y: Math.min(this.sampleCorner.y, point.y),
+            width: Math.abs(point.x - this.sampleCorner.x) + 1,
+            height: Math.abs(point.y - this.sampleCorner.y) + 1
+        };
+        this.stopSampleSelection();
+
+        if (sampleRect.width < 4 || sampleRect.height < 4) {
+            this.setHint('見本の範囲が小さすぎます。記号を囲むように選択し直してください');
+            return;
+        }
+
+        this.sampleRect = sampleRect;
+        this.drawSampleArea();
+        this.setHint(`見本: ${sampleRect.width} × ${sampleRect.height} ピクセル`);
+    }
+
+    // 見本の範囲を破線で表示（画像が回転していても画像座標の四隅を結ぶ）
+    drawSampleArea() {
+        this.clearSampleArea();
+        if (!this.sampleRect) {
+            return;
+        }
+
+        const { x, y, width, height } = this.sampleRect;
+        const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+            .map(([imageX, imageY]) => this.pointOverlay.convertImageCoordsToMapCoords(imageX, imageY));
+        if (corners.some(corner => !corner)) {
+            return;
+        }
+
+        this.sampleLayer = L.polygon(corners, {
+            color: CANDIDATE_COLORS.ACCEPTED,
+            weight: 2,
+            dashArray: '4, 4',
+            fill: false,
+            interactive: false
+        }).addTo(this.map);
+    }
+
+    clearSampleArea() {
+        if (this.sampleLayer && this.map.hasLayer(this.sampleLayer)) {
+            this.map.removeLayer(this.sampleLayer);
+        }
+        this.sampleLayer = null;
+    }
+
+    // 見本に似た位置を画像全体から検出して候補として表示
+    async detectSymbols() {
+        const imageOverlay = this.getImageOverlay();
+        const imageData = imageOverlay ? imageOverlay.getImagePixelData() : null;
+        if (!imageData) {
+            errorHandler.showError('記号の検出', '画像を読み込んでください');
+            return;
+        }
+        if (!this.sampleRect) {
+            errorHandler.showError('記号の検出', '先に「見本の記号を選択」で記号を囲んでください');
+            return;
+        }
+
+        const thresholdInput = document.getElementById('symbolThresholdInput');
+        const threshold = parseFloat(thresholdInput && thresholdInput.value);
+
+        this.stopSampleSelection();
+        this.updateDetectButton(true);
+        this.setHint('検出中... 0%');
+
+        try {
+            const result = await this.detector.detect(
+                imageData,
+                this.sampleRect,
+                threshold > 0 && threshold < 1 ? threshold : CONFIG.SYMBOL_MATCH_THRESHOLD,
+                (ratio) => this.setHint(`検出中... ${Math.round(ratio * 100)}%`)
+            );
+
+            this.setCandidates(result.candidates);
+            let hint = `${result.candidates.length}個の候補を検出しました。不要な候補はクリックして除外してください`;
+            if (result.truncated) {
+                hint += `\n※候補が多いため上位${CONFIG.SYMBOL_MAX_CANDIDATES}個のみ表示しています。閾値を上げてください`;
+            }
+            this.setHint(hint);
+        } catch (error) {
+            this.setHint(error.message);
+        } finally {
+            this.updateDetectButton(false);
+        }
+    }
+
+    // 検出結果を候補として設定（上から下、左から右の順に並べる）
+    setCandidates(candidates) {
+        this.clearCandidates();
+        this.candidates = candidates
+            .map(candidate => ({ ...candidate, id: '', accepted: true, marker: null }))
+            .sort((a, b) => a.imageY - b.imageY || a.imageX - b.imageX);
+
+        this.drawCandidateMarkers();
+        this.renderCandidateList();
+    }
+
+    clearCandidates() {
+        this.candidates.forEach(candidate => {
+            if (candidate.marker && this.map.hasLayer(candidate.marker)) {
+                this.map.removeLayer(candidate.marker);
+            }
+        });
+        this.candidates = [];
+        this.renderCandidateList();
+    }
+
+    drawCandidateMarkers() {
+        this.candidates.forEach(candidate => {
+            const position = this.pointOverlay.convertImageCoordsToMapCoords(candidate.imageX, candidate.imageY);
+            if (!position) {
+                return;
+            }
+
+            candidate.marker = L.circleMarker(position, {
+                radius: 7,
+                color: '#ffffff',
+                weight: 2,
+                fillOpacity: 0.8
+            }).addTo(this.map);
+            candidate.marker.on('click', (e) => {
+                this.toggleCandidate(candidate);
+                L.DomEvent.stopPropagation(e);
+            });
+            this.updateCandidateMarker(candidate);
+        });
+    }
+
+    updateCandidateMarker(candidate) {
+        if (!candidate.marker) {
+            return;
+        }
+
+        candidate.marker.setStyle({
+            fillColor: candidate.accepted ? CANDIDATE_COLORS.ACCEPTED : CANDIDATE_COLORS.REJECTED
+        });
+        candidate.marker.bindTooltip(
+            `${candidate.id || '（ID未設定）'} 類似度: ${candidate.score.toFixed(2)}${candidate.accepted ? '' : '（除外）'}`
+        );
+    }
+
+    // 画像の位置合わせが変わったら候補と見本の範囲の表示位置を更新
+    updatePositions() {
+        this.candidates.forEach(candidate => {
+            const position = this.pointOverlay.convertImageCoordsToMapCoords(candidate.imageX, candidate.imageY);
+            if (candidate.marker && position) {
+                candidate.marker.setLatLng(position);
+            }
+        });
+        this.drawSampleArea();
+    }
+
+    // 候補の採否を切り替え
+    toggleCandidate(candidate) {
+        candidate.accepted = !candidate.accepted;
+        this.updateCandidateMarker(candidate);
+        this.renderCandidateList();
+    }
+
+    // 採用した候補のうちIDが未設定のものに「接頭辞-連番」のIDを付ける（使用済みの番号は飛ばす）
+    numberCandidates() {
+        const prefixInput = document.getElementById('symbolIdPrefixInput');
+        const prefix = Validators.convertFullWidthToHalfWidth((prefixInput && prefixInput.value || '').trim()).toUpperCase();
+        if (!/^[A-Z]$/.test(prefix)) {
+            errorHandler.showError('IDの連番', 'IDの接頭辞は英大文字1文字で指定してください');
+            return;
+        }
+
+        const usedIds = new Set(this.candidates.map(candidate => candidate.id).filter(id => id));
+        let number = 1;
+        const nextId = () => {
+            while (number <= 99 && usedIds.has(`${prefix}-${String(number).padStart(2, '0')}`)) {
+                number++;
+            }
+            return number <= 99 ? `${prefix}-${String(number++).padStart(2, '0')}` : null;
+        };
+
+        const unnumbered = this.candidates.filter(candidate => candidate.accepted && !candidate.id);
+        for (const candidate of unnumbered) {
+            const id = nextId();
+            if (!id) {
+                errorHandler.showWarning('IDの連番', `${prefix}-99 までの番号をすべて使用しました。別の接頭辞で続けてください`);
+                break;
+            }
+            candidate.id = id;
+            this.updateCandidateMarker(candidate);
+        }
+        this.renderCandidateList();
+    }
+
+    // 候補の一覧（採否のチェック、ID、類似度）を表示
+    renderCandidateList() {
+        const symbolCandidatePanel = document.getElementById('symbolCandidatePanel');
+        const symbolCandidateList = document.getElementById('symbolCandidateList');
+        if (!symbolCandidateList) {
+            return;
+        }
+
+        symbolCandidateList.innerHTML = '';
+
+        this.candidates.forEach((candidate, index) => {
+            const item = document.createElement('li');
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = candidate.accepted;
+            checkbox.title = 'ポイントとして採用';
+            checkbox.addEventListener('change', () => this.toggleCandidate(candidate));
+            item.appendChild(checkbox);
+
+            const idInput = document.createElement('input');
+            idInput.type = 'text';
+            idInput.value = candidate.id;
+            idInput.placeholder = `候補${index + 1}`;
+            idInput.maxLength = 5;
+            idInput.disabled = !candidate.accepted;
+            idInput.setAttribute('aria-label', `候補${index + 1}のID`);
+            idInput.addEventListener('change', () => {
+                candidate.id = Validators.formatPointId(idInput.value.trim());
+                idInput.value = candidate.id;
+                this.updateCandidateMarker(candidate);
+            });
+            idInput.addEventListener('focus', () => {
+                if (candidate.marker) {
+                    this.map.panTo(candidate.marker.getLatLng());
+                }
+            });
+            item.appendChild(idInput);
+
+            const score = document.createElement('span');
+            score.textContent = candidate.score.toFixed(2);
+            score.title = '類似度';
+            item.appendChild(score);
+
+            symbolCandidateList.appendChild(item);
+        });
+
+        if (symbolCandidatePanel) {
+            symbolCandidatePanel.style.display = this.candidates.length > 0 ? 'block' : 'none';
+        }
+    }
+
+    // 採用した候補からポイントJSONのデータを作成（IDの未設定・形式違い・重複がある場合はエラー）
+    createPointData() {
+        const accepted = this.candidates.filter(candidate => candidate.accepted);
+        if (accepted.length === 0) {
+            throw new Error('採用する候補がありません');
+        }
+
+        const missingCount = accepted.filter(candidate => !candidate.id).length;
+        if (missingCount > 0) {
+            throw new Error(`IDが未設定の候補が${missingCount}個あります。IDを入力するか「連番を付ける」を使用してください`);
+        }
+
+        const invalidIds = accepted.filter(candidate => !Validators.isValidPointIdFormat(candidate.id)).map(candidate => candidate.id);
+        if (invalidIds.length > 0) {
+            throw new Error(`IDは「X-nn」形式（英大文字1桁-数字2桁）で入力してください: ${invalidIds.join(', ')}`);
+        }
+
+        const ids = accepted.map(candidate => candidate.id);
+        const duplicateIds = [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+        if (duplicateIds.length > 0) {
+            throw new Error(`IDが重複しています: ${duplicateIds.join(', ')}`);
+        }
+
+        return {
+            imageReference: this.getImageOverlay().getCurrentImageInfo().fileName,
+            points: accepted.map(candidate => ({
+                id: candidate.id,
+                imageX: candidate.imageX,
+                imageY: candidate.imageY
+            }))
+        };
+    }
+
+    // 採用した候補を読み込み済みのポイント（JSON）として地図に表示し、ジオリファレンスに使えるようにする
+    async applyToPointOverlay() {
+        let pointData;
+        try {
+            pointData = this.createPointData();
+        } catch (error) {
+            errorHandler.showError('ポイントの確定', error.message);
+            return;
+        }
+
+        // 読み込み済みのポイント（手動の対応付けを含む）は置き換えられるため確認する
+        const loadedCount = this.pointOverlay.originalPointData.length;
+        if (loadedCount > 0) {
+            const confirmed = await errorHandler.showConfirm(
+                'ポイントの確定',
+                `読み込み済みの${loadedCount}個のポイントを、検出した${pointData.points.length}個のポイントに置き換えますか？`,
+                { okLabel: '置き換え' }
+            );
+            if (!confirmed) {
+                return;
+            }
+        }
+
+        this.pointOverlay.addPointsToMap(pointData);
+        this.pointOverlay.discardEditHistory();
+        this.clearCandidates();
+        this.clearSampleArea();
+        this.setHint(`${pointData.points.length}個のポイントを確定しました`);
+    }
+
+    // 採用した候補をポイントJSON（{ imageReference, points: [{ id, imageX, imageY }] }）として保存
+    async exportPointJson() {
+        let pointData;
+        try {
+            pointData = this.createPointData();
+        } catch (error) {
+            errorHandler.showError('ポイントJSON出力', error.message);
+            return;
+        }
+
+        const fileName = pointData.imageReference || 'image';
+        const result = await this.fileHandler.saveJSONWithUserChoice(pointData, `${fileName.replace(/\.[^/.]+$/, '')}.points.json`);
+        if (result.success) {
+            errorHandler.showSuccess('保存完了', `ポイントJSONを保存しました。\nファイル名: ${result.filename}`);
+        } else if (result.error !== 'キャンセル') {
+            errorHandler.showError('保存エラー', result.error);
+        }
+    }
+
+    setHint(text) {
+        const symbolDetectionHint = document.getElementById('symbolDetectionHint');
+        if (symbolDetectionHint) {
+            symbolDetectionHint.textContent = text;
+        }
+    }
+
+    updateSelectButton() {
+        const selectSymbolSampleBtn = document.getElementById('selectSymbolSampleBtn');
+        if (selectSymbolSampleBtn) {
+            selectSymbolSampleBtn.classList.toggle('active', this.isSelectingSample);
+            selectSymbolSampleBtn.textContent = this.isSelectingSample ? '見本の選択を中止' : '見本の記号を選択';
+        }
+    }
+
+    updateDetectButton(isRunning) {
+        const detectSymbolsBtn = document.getElementById('detectSymbolsBtn');
+        if (detectSymbolsBtn) {
+            detectSymbolsBtn.classList.toggle('active', isRunning);
+            detectSymbolsBtn.textContent = isRunning ? '検出を中止' : '記号を検出';
+        }
+    }
+}
@@ -0,0 +1,43 @@
+// 地図画像から見本の記号（緊急ポイントなど）に似た位置を検出するモジュール
+// 検出はWeb Worker（workers/symbol-detect-worker.js）で行い、画面の操作を止めない
+import { CONFIG } from './constants.js';
+import { WorkerTask } from './utils/worker-task.js';
+
+export class SymbolDetector {
+    constructor() {
+        this.task = new WorkerTask(new URL('./workers/symbol-detect-worker.js', import.meta.url), {
+            errorMessage: '記号の検出中にエラーが発生しました。',
+            cancelMessage: '記号の検出を中止しました。'
+        });
+    }
+
+    // 画像全体から見本の範囲に似た位置を検出する
+    // imageData: 画像全体のImageData、sample: 見本の範囲（画像座標） { x, y, width, height }、threshold: 類似度の閾値（0～1）
+    // onProgress: 進捗（0～1）を受け取る関数
+    // 戻り値: { candidates: [{ imageX, imageY, score }]（記号の中心の画像座標、類似度の高い順）, truncated: 上限を超えた場合true }
+    async detect(imageData, sample, threshold = CONFIG.SYMBOL_MATCH_THRESHOLD, onProgress = null) {
+        // 元のImageDataは取得元で再利用するため、複製したものをWorkerに転送する
+        const data = new Uint8ClampedArray(imageData.data);
+        const { candidates, truncated } = await this.task.run({
+            width: imageData.width,
+            height: imageData.height,
+            data,
+            sample,
+            threshold,
+            options: {
+                coarseTemplateSize: CONFIG.SYMBOL_COARSE_TEMPLATE_SIZE,
+                coarseThresholdMargin: CONFIG.SYMBOL_COARSE_THRESHOLD_MARGIN,
+                maxCandidates: CONFIG.SYMBOL_MAX_CANDIDATES
+            }
+        }, [data.buffer], onProgress);
+        return { candidates, truncated };
+    }
+
+    isRunning() {
+        return this.task.isRunning();
+    }
+
+    cancel() {
+        this.task.cancel();
+    }
+}
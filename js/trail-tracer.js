@@ -0,0 +1,91 @@
+// 地図画像に描かれた登山道の線をたどって中間点を作成するモジュール
+// 経路の探索はWeb Worker（workers/trail-trace-worker.js）で行い、画面の操作を止めない
+import { CONFIG } from './constants.js';
+import { WorkerTask } from './utils/worker-task.js';
+
+export class TrailTracer {
+    constructor() {
+        this.task = new WorkerTask(new URL('./workers/trail-trace-worker.js', import.meta.url), {
+            errorMessage: '経路の探索中にエラーが発生しました。',
+            cancelMessage: '経路の探索を中止しました。'
+        });
+    }
+
+    // 画像上の2点間で指定色の線をたどる経路を求める
+    // imageData: 画像全体のImageData、color: [r, g, b]、start・end: 画像座標 { x, y }
+    // 戻り値: { points: 簡略化した経路（画像座標）, pixelCount, matchedRatio: 経路のうち指定色に一致したピクセルの割合 }
+    async trace(imageData, color, start, end, tolerance = CONFIG.TRACE_COLOR_TOLERANCE) {
+        // 実行中の探索は中止して新しい探索を始める
+        this.cancel();
+
+        // 探索範囲だけを切り出して転送する（画像全体は複製しない）
+        const region = this.getSearchRegion(imageData, start, end);
+        const data = this.cropImageData(imageData, region);
+        const toRegion = (point) => ({ x: point.x - region.x, y: point.y - region.y });
+
+        const { points, pixelCount, matchedRatio } = await this.task.run({
+            width: region.width,
+            height: region.height,
+            data,
+            color,
+            start: toRegion(start),
+            end: toRegion(end),
+            options: {
+                tolerance,
+                offTrailCost: CONFIG.TRACE_OFF_TRAIL_COST,
+                snapRadius: CONFIG.TRACE_SNAP_RADIUS,
+                simplifyTolerance: CONFIG.TRACE_SIMPLIFY_TOLERANCE
+            }
+        }, [data.buffer]);
+
+        return {
+            points: points.map(point => ({ x: point.x + region.x, y: point.y + region.y })),
+            pixelCount,
+            matchedRatio
+        };
+    }
+
+    // 探索範囲（2点を囲む矩形に余白を加えた範囲）
+    // 余白は2点間の距離に応じて広げるが、ピクセル数の上限を超える場合は最小の余白にする
+    getSearchRegion(imageData, start, end) {
+        const createRegion = (margin) => {
+            const minX = clamp(Math.round(Math.min(start.x, end.x) - margin), 0, imageData.width - 1);
+            const minY = clamp(Math.round(Math.min(start.y, end.y) - margin), 0, imageData.height - 1);
+            const maxX = clamp(Math.round(Math.max(start.x, end.x) + margin), 0, imageData.width - 1);
+            const maxY = clamp(Math.round(Math.max(start.y, end.y) + margin), 0, imageData.height - 1);
+            return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+        };
+
+        const distance = Math.hypot(end.x - start.x, end.y - start.y);
+        let region = createRegion(Math.max(CONFIG.TRACE_SEARCH_MARGIN, distance * 0.5));
+        if (region.width * region.height > CONFIG.TRACE_MAX_REGION_PIXELS) {
+            region = createRegion(CONFIG.TRACE_SEARCH_MARGIN);
+        }
+        if (region.width * region.height > CONFIG.TRACE_MAX_REGION_PIXELS) {
+            throw new Error('始点と終点が離れすぎています。線を区切って、短い区間ごとにトレースしてください。');
+        }
+        return region;
+    }
+
+    // ImageDataから矩形の範囲の画素（RGBA）を切り出す
+    cropImageData(imageData, region) {
+        const data = new Uint8ClampedArray(region.width * region.height * 4);
+        for (let y = 0; y < region.height; y++) {
+            const sourceOffset = ((region.y + y) * imageData.width + region.x) * 4;
+            data.set(imageData.data.subarray(sourceOffset, sourceOffset + region.width * 4), y * region.width * 4);
+        }
+        return data;
+    }
+
+    isRunning() {
+        return this.task.isRunning();
+    }
+
+    cancel() {
+        this.task.cancel();
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
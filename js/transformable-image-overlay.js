@@ -0,0 +1,76 @@
+// 回転・せん断を含む変換で画像を表示できるImageOverlayを提供するモジュール
+// 変換が設定されていない場合は通常のL.ImageOverlayと同じく矩形（bounds）で表示する
+
+let TransformableImageOverlayClass = null;
+
+// Leaflet読み込み後にクラスを定義する
+function getTransformableImageOverlayClass() {
+    if (TransformableImageOverlayClass) {
+        return TransformableImageOverlayClass;
+    }
+
+    TransformableImageOverlayClass = L.ImageOverlay.extend({
+        // 画像座標 → 緯度経度の変換（GeoTransform）を設定（nullで矩形表示に戻す）
+        setImageTransform(transform) {
+            this._imageTransform = transform;
+            if (this._map) {
+                this._reset();
+            }
+            return this;
+        },
+
+        getImageTransform() {
+            return this._imageTransform || null;
+        },
+
+        _reset() {
+            if (!this._imageTransform) {
+                L.ImageOverlay.prototype._reset.call(this);
+                return;
+            }
+            this._applyTransformMatrix(latLng => this._map.latLngToLayerPoint(latLng));
+        },
+
+        _animateZoom(e) {
+            if (!this._imageTransform) {
+                L.ImageOverlay.prototype._animateZoom.call(this, e);
+                return;
+            }
+            this._applyTransformMatrix(latLng => this._map._latLngToNewLayerPoint(latLng, e.zoom, e.center));
+        },
+
+        // 画像の左上・右上・左下の投影位置からCSSの変換行列を計算して適用
+        _applyTransformMatrix(project) {
+            const image = this._image;
+            const width = image.naturalWidth;
+            const height = image.naturalHeight;
+
+            if (!width || !height) {
+                return;
+            }
+
+            const transform = this._imageTransform;
+            const topLeft = project(transform.imageToLatLng(0, 0));
+            const topRight = project(transform.imageToLatLng(width, 0));
+            const bottomLeft = project(transform.imageToLatLng(0, height));
+
+            const a = (topRight.x - topLeft.x) / width;
+            const b = (topRight.y - topLeft.y) / width;
+            const c = (bottomLeft.x - topLeft.x) / height;
+            const d = (bottomLeft.y - topLeft.y) / height;
+
+            image.style.width = width + 'px';
+            image.style.height = height + 'px';
+            image.style[L.DomUtil.TRANSFORM] = `matrix(${a}, ${b}, ${c}, ${d}, ${topLeft.x}, ${topLeft.y})`;
+            image._leaflet_pos = topLeft;
+        }
+    });
+
+    return TransformableImageOverlayClass;
+}
+
+// L.imageOverlay と同じ引数で生成するファクトリ関数
+export function transformableImageOverlay(imageUrl, bounds, options) {
+    const OverlayClass = getTransformableImageOverlayClass();
+    return new OverlayClass(imageUrl, bounds, options);
+}
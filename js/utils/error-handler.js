@@ -5,6 +5,8 @@ import { Logger } from './logger.js';
 export class ErrorHandler {
     constructor() {
         this.logger = new Logger('ErrorHandler');
+        // 表示中の確認・入力ダイアログをキャンセル扱いで閉じる関数（他のメッセージボックスで置き換えられたときに使う）
+        this.cancelOpenDialog = null;
         this.setupGlobalErrorHandlers();
     }
     
@@ -57,6 +59,120 @@ export class ErrorHandler {
         this.showMessageBox(title, message, CSS_CLASSES.SUCCESS);
     }
     
+    /**
+     * 確認メッセージボックスを表示
+     * @param {string} title - 確認のタイトル
+     * @param {string} message - 確認メッセージ
+     * @param {Object} [options] - ボタンのラベル
+     * @param {string} [options.okLabel] - 承認ボタンのラベル
+     * @param {string} [options.cancelLabel] - キャンセルボタンのラベル
+     * @returns {Promise<boolean>} 承認された場合true
+     */
+    showConfirm(title, message, { okLabel = 'OK', cancelLabel = 'キャンセル' } = {}) {
+        this.clearExistingMessageBoxes();
+        
+        return new Promise(resolve => {
+            const messageBox = document.createElement('div');
+            messageBox.className = `${CSS_CLASSES.MESSAGE_BOX} ${CSS_CLASSES.CONFIRM}`;
+            messageBox.setAttribute('role', 'alertdialog');
+            messageBox.setAttribute('aria-live', 'polite');
+            
+            messageBox.innerHTML = `
+                <h3 class="${CSS_CLASSES.CONFIRM}">${this.escapeHtml(title)}</h3>
+                <p>${this.escapeHtml(message)}</p>
+                <button class="${CSS_CLASSES.CONFIRM}" type="button" data-result="ok">${this.escapeHtml(okLabel)}</button>
+                <button class="cancel" type="button" data-result="cancel">${this.escapeHtml(cancelLabel)}</button>
+            `;
+            
+            const close = (result) => {
+                if (this.cancelOpenDialog === cancel) {
+                    this.cancelOpenDialog = null;
+                }
+                document.removeEventListener('keydown', handleKeydown);
+                this.removeMessageBox(messageBox);
+                resolve(result);
+            };
+            const cancel = () => close(false);
+            this.cancelOpenDialog = cancel;
+            
+            // ESCキーはキャンセル扱い
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    close(false);
+                }
+            };
+            document.addEventListener('keydown', handleKeydown);
+            
+            messageBox.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', () => close(button.dataset.result === 'ok'));
+            });
+            
+            document.body.appendChild(messageBox);
+            messageBox.querySelector('button').focus();
+        });
+    }
+    
+    /**
+     * 入力欄付きのメッセージボックスを表示
+     * @param {string} title - タイトル
+     * @param {string} message - 入力内容の説明
+     * @param {Object} [options] - 初期値とボタンのラベル
+     * @param {string} [options.defaultValue] - 入力欄の初期値
+     * @param {string} [options.okLabel] - 承認ボタンのラベル
+     * @param {string} [options.cancelLabel] - キャンセルボタンのラベル
+     * @returns {Promise<string|null>} 入力された値（キャンセルの場合null）
+     */
+    showPrompt(title, message, { defaultValue = '', okLabel = 'OK', cancelLabel = 'キャンセル' } = {}) {
+        this.clearExistingMessageBoxes();
+
+        return new Promise(resolve => {
+            const messageBox = document.createElement('div');
+            messageBox.className = `${CSS_CLASSES.MESSAGE_BOX} ${CSS_CLASSES.CONFIRM}`;
+            messageBox.setAttribute('role', 'dialog');
+            messageBox.setAttribute('aria-live', 'polite');
+
+            messageBox.innerHTML = `
+                <h3 class="${CSS_CLASSES.CONFIRM}">${this.escapeHtml(title)}</h3>
+                <p>${this.escapeHtml(message)}</p>
+                <input type="text" aria-label="${this.escapeHtml(title)}">
+                <button class="${CSS_CLASSES.CONFIRM}" type="button" data-result="ok">${this.escapeHtml(okLabel)}</button>
+                <button class="cancel" type="button" data-result="cancel">${this.escapeHtml(cancelLabel)}</button>
+            `;
+
+            const input = messageBox.querySelector('input');
+            input.value = defaultValue;
+
+            const close = (result) => {
+                if (this.cancelOpenDialog === cancel) {
+                    this.cancelOpenDialog = null;
+                }
+                document.removeEventListener('keydown', handleKeydown);
+                this.removeMessageBox(messageBox);
+                resolve(result);
+            };
+            const cancel = () => close(null);
+            this.cancelOpenDialog = cancel;
+
+            // Enterキーは承認、ESCキーはキャンセル扱い
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    close(null);
+                } else if (event.key === 'Enter' && event.target === input) {
+                    close(input.value);
+                }
+            };
+            document.addEventListener('keydown', handleKeydown);
+
+            messageBox.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', () => close(button.dataset.result === 'ok' ? input.value : null));
+            });
+
+            document.body.appendChild(messageBox);
+            input.focus();
+            input.select();
+        });
+    }
+
     /**
      * メッセージボックスを表示する内部メソッド
      * @param {string} title - タイトル
@@ -128,9 +244,13 @@ export class ErrorHandler {
     }
     
     /**
-     * 既存のメッセージボックスをクリア
+     * 既存のメッセージボックスをクリア（表示中の確認・入力ダイアログはキャンセルとして結果を返す）
      */
     clearExistingMessageBoxes() {
+        if (this.cancelOpenDialog) {
+            this.cancelOpenDialog();
+        }
+        
         const existingBoxes = document.querySelectorAll(`.${CSS_CLASSES.MESSAGE_BOX}`);
         existingBoxes.forEach(box => {
             this.removeMessageBox(box);
@@ -0,0 +1,14 @@
+// 緯度経度で表した2点間の距離の計算（ハバーサイン公式）
+
+const EARTH_RADIUS = 6371000; // 地球の半径（メートル）
+const DEG_TO_RAD = Math.PI / 180;
+
+// 2点間の距離を計算（メートル単位）
+export function calculateDistance(lat1, lng1, lat2, lng2) {
+    const dLat = (lat2 - lat1) * DEG_TO_RAD;
+    const dLng = (lng2 - lng1) * DEG_TO_RAD;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1 * DEG_TO_RAD) * Math.cos(lat2 * DEG_TO_RAD) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
@@ -0,0 +1,68 @@
+// Web Workerで時間のかかる処理を実行する共通クラス
+// 処理ごとにWorkerを作り、終了・中止したら破棄する。新しい処理を始めると実行中の処理は中止する
+export class WorkerTask {
+    // workerUrl: Workerのスクリプト、errorMessage: Workerの実行エラー時の文言、cancelMessage: 中止時の文言
+    constructor(workerUrl, { errorMessage, cancelMessage }) {
+        this.workerUrl = workerUrl;
+        this.errorMessage = errorMessage;
+        this.cancelMessage = cancelMessage;
+        this.current = null; // 実行中の処理 { worker, reject }
+    }
+
+    // Workerに message を渡して結果を待つ
+    // transfer: 複製せずに転送するArrayBuffer、onProgress: 進捗（0～1）を受け取る関数
+    // Workerからは { type: 'progress', ratio }、{ type: 'result', ... } または { type: 'error', message } を受け取る
+    run(message, transfer = [], onProgress = null) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.workerUrl);
+            const current = { worker, reject };
+            this.current = current;
+
+            const finish = () => {
+                worker.terminate();
+                if (this.current === current) {
+                    this.current = null;
+                }
+            };
+
+            worker.onmessage = (event) => {
+                if (event.data.type === 'progress') {
+                    if (onProgress) {
+                        onProgress(event.data.ratio);
+                    }
+                    return;
+                }
+
+                finish();
+                if (event.data.type === 'result') {
+                    resolve(event.data);
+                } else {
+                    reject(new Error(event.data.message));
+                }
+            };
+            worker.onerror = (event) => {
+                finish();
+                reject(new Error(event.message || this.errorMessage));
+            };
+
+            worker.postMessage(message, transfer);
+        });
+    }
+
+    isRunning() {
+        return this.current !== null;
+    }
+
+    cancel() {
+        if (!this.current) {
+            return;
+        }
+
+        const { worker, reject } = this.current;
+        this.current = null;
+        worker.terminate();
+        reject(new Error(this.cancelMessage));
+    }
+}
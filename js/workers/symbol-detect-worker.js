@@ -0,0 +1,272 @@
+// 画像から見本の記号に似た位置を探すWeb Worker（正規化相互相関によるテンプレートマッチング）
+// 入力: { width, height, data: RGBA配列, sample: 見本の範囲 { x, y, width, height }, threshold: 類似度の閾値（0～1）, options }
+// 出力: { type: 'progress', ratio }、{ type: 'result', candidates: [{ imageX, imageY, score }], truncated } または { type: 'error', message }
+// 大きな画像でも時間がかからないよう、縮小画像で候補を探してから元の解像度で類似度を求め直す
+
+self.onmessage = (event) => {
+    try {
+        const result = detectSymbols(event.data);
+        self.postMessage({ type: 'result', ...result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+function detectSymbols({ width, height, data, sample, threshold, options }) {
+    const { coarseTemplateSize, coarseThresholdMargin, maxCandidates } = options;
+    const gray = toGrayscale(data, width, height);
+
+    // 縮小率（縮小後の見本が coarseTemplateSize ピクセル程度になるようにする）
+    const scale = Math.max(1, Math.floor(Math.min(sample.width, sample.height) / coarseTemplateSize));
+    const coarse = scale > 1 ? downsample(gray, width, height, scale) : { gray, width, height };
+    const coarseSample = {
+        x: Math.floor(sample.x / scale),
+        y: Math.floor(sample.y / scale),
+        width: Math.floor(sample.width / scale),
+        height: Math.floor(sample.height / scale)
+    };
+
+    const coarseTemplate = createTemplate(coarse.gray, coarse.width, coarseSample);
+    const fullTemplate = createTemplate(gray, width, sample);
+    if (!coarseTemplate || !fullTemplate) {
+        throw new Error('見本の範囲に記号の模様がありません。記号を囲むように選択してください。');
+    }
+
+    // 縮小画像で候補（閾値を少し下げた範囲の極大値）を探す
+    const scores = matchTemplate(coarse.gray, coarse.width, coarse.height, coarseTemplate, (ratio) => {
+        self.postMessage({ type: 'progress', ratio: ratio * 0.9 });
+    });
+    const coarseWidth = coarse.width - coarseSample.width + 1;
+    const coarseHeight = coarse.height - coarseSample.height + 1;
+    const coarseCandidates = findLocalMaxima(scores, coarseWidth, coarseHeight, threshold - coarseThresholdMargin);
+
+    // 元の解像度で候補の周辺の類似度を求め直す
+    const maxX = width - sample.width;
+    const maxY = height - sample.height;
+    const refined = [];
+    coarseCandidates.forEach(candidate => {
+        let best = null;
+        const centerX = candidate.x * scale;
+        const centerY = candidate.y * scale;
+        for (let y = Math.max(0, centerY - scale); y <= Math.min(maxY, centerY + scale); y++) {
+            for (let x = Math.max(0, centerX - scale); x <= Math.min(maxX, centerX + scale); x++) {
+                const score = correlationAt(gray, width, fullTemplate, x, y);
+                if (!best || score > best.score) {
+                    best = { x, y, score };
+                }
+            }
+        }
+        if (best && best.score >= threshold) {
+            refined.push(best);
+        }
+    });
+    self.postMessage({ type: 'progress', ratio: 1 });
+
+    // 重なる候補は類似度の高いものだけを残す
+    const minDistance = Math.max(sample.width, sample.height) / 2;
+    const candidates = [];
+    refined.sort((a, b) => b.score - a.score).forEach(candidate => {
+        const overlaps = candidates.some(kept =>
+            Math.hypot(kept.x - candidate.x, kept.y - candidate.y) < minDistance
+        );
+        if (!overlaps) {
+            candidates.push(candidate);
+        }
+    });
+
+    return {
+        candidates: candidates.slice(0, maxCandidates).map(candidate => ({
+            imageX: Math.round(candidate.x + (sample.width - 1) / 2),
+            imageY: Math.round(candidate.y + (sample.height - 1) / 2),
+            score: Math.min(1, candidate.score)
+        })),
+        truncated: candidates.length > maxCandidates
+    };
+}
+
+// RGBAを輝度に変換（透明部分は白として扱う）
+function toGrayscale(data, width, height) {
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        const offset = i * 4;
+        const alpha = data[offset + 3] / 255;
+        const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        gray[i] = luminance * alpha + 255 * (1 - alpha);
+    }
+    return gray;
+}
+
+// 縦横 scale ピクセルごとの平均で縮小
+function downsample(gray, width, height, scale) {
+    const smallWidth = Math.floor(width / scale);
+    const smallHeight = Math.floor(height / scale);
+    const small = new Float32Array(smallWidth * smallHeight);
+    const area = scale * scale;
+
+    for (let y = 0; y < smallHeight; y++) {
+        for (let x = 0; x < smallWidth; x++) {
+            let sum = 0;
+            for (let dy = 0; dy < scale; dy++) {
+                const rowOffset = (y * scale + dy) * width + x * scale;
+                for (let dx = 0; dx < scale; dx++) {
+                    sum += gray[rowOffset + dx];
+                }
+            }
+            small[y * smallWidth + x] = sum / area;
+        }
+    }
+    return { gray: small, width: smallWidth, height: smallHeight };
+}
+
+// 見本の範囲を平均0にした値と、そのノルムを求める（模様がない場合はnull）
+function createTemplate(gray, width, rect) {
+    const count = rect.width * rect.height;
+    if (count === 0) {
+        return null;
+    }
+
+    const values = new Float32Array(count);
+    let sum = 0;
+    for (let y = 0; y < rect.height; y++) {
+        for (let x = 0; x < rect.width; x++) {
+            const value = gray[(rect.y + y) * width + rect.x + x];
+            values[y * rect.width + x] = value;
+            sum += value;
+        }
+    }
+
+    const mean = sum / count;
+    let normSquared = 0;
+    for (let i = 0; i < count; i++) {
+        values[i] -= mean;
+        normSquared += values[i] * values[i];
+    }
+
+    // ほぼ一様な範囲（標準偏差1未満）は記号として扱えない
+    if (normSquared < count) {
+        return null;
+    }
+    return { values, width: rect.width, height: rect.height, norm: Math.sqrt(normSquared) };
+}
+
+// 画像全体で正規化相互相関を求める（各位置は見本の左上）
+function matchTemplate(gray, width, height, template, onProgress) {
+    const resultWidth = width - template.width + 1;
+    const resultHeight = height - template.height + 1;
+    if (resultWidth <= 0 || resultHeight <= 0) {
+        return new Float32Array(0);
+    }
+
+    const { sum, sumSquared } = createIntegralImages(gray, width, height);
+    const count = template.width * template.height;
+    const scores = new Float32Array(resultWidth * resultHeight);
+    const progressStep = Math.max(1, Math.floor(resultHeight / 20));
+
+    for (let y = 0; y < resultHeight; y++) {
+        for (let x = 0; x < resultWidth; x++) {
+            const windowSum = rectSum(sum, width, x, y, template.width, template.height);
+            const windowSumSquared = rectSum(sumSquared, width, x, y, template.width, template.height);
+            const variance = windowSumSquared - windowSum * windowSum / count;
+            if (variance < count) {
+                continue;
+            }
+
+            // 見本は平均0なので、画像側の平均を引かなくても相関は同じになる
+            let correlation = 0;
+            for (let ty = 0; ty < template.height; ty++) {
+                const rowOffset = (y + ty) * width + x;
+                const templateOffset = ty * template.width;
+                for (let tx = 0; tx < template.width; tx++) {
+                    correlation += template.values[templateOffset + tx] * gray[rowOffset + tx];
+                }
+            }
+            scores[y * resultWidth + x] = correlation / (template.norm * Math.sqrt(variance));
+        }
+
+        if (y % progressStep === 0) {
+            onProgress(y / resultHeight);
+        }
+    }
+
+    return scores;
+}
+
+// 1か所の正規化相互相関
+function correlationAt(gray, width, template, x, y) {
+    let sum = 0;
+    let sumSquared = 0;
+    let correlation = 0;
+    for (let ty = 0; ty < template.height; ty++) {
+        const rowOffset = (y + ty) * width + x;
+        const templateOffset = ty * template.width;
+        for (let tx = 0; tx < template.width; tx++) {
+            const value = gray[rowOffset + tx];
+            sum += value;
+            sumSquared += value * value;
+            correlation += template.values[templateOffset + tx] * value;
+        }
+    }
+
+    const count = template.width * template.height;
+    const variance = sumSquared - sum * sum / count;
+    return variance < count ? 0 : correlation / (template.norm * Math.sqrt(variance));
+}
+
+// 積分画像（合計・二乗和）。大きな画像でも桁落ちしないようFloat64Arrayを使う
+function createIntegralImages(gray, width, height) {
+    const sum = new Float64Array((width + 1) * (height + 1));
+    const sumSquared = new Float64Array((width + 1) * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        let rowSumSquared = 0;
+        for (let x = 0; x < width; x++) {
+            const value = gray[y * width + x];
+            rowSum += value;
+            rowSumSquared += value * value;
+            const index = (y + 1) * (width + 1) + x + 1;
+            sum[index] = sum[index - width - 1] + rowSum;
+            sumSquared[index] = sumSquared[index - width - 1] + rowSumSquared;
+        }
+    }
+    return { sum, sumSquared };
+}
+
+function rectSum(integral, width, x, y, rectWidth, rectHeight) {
+    const stride = width + 1;
+    return integral[(y + rectHeight) * stride + x + rectWidth]
+        - integral[y * stride + x + rectWidth]
+        - integral[(y + rectHeight) * stride + x]
+        + integral[y * stride + x];
+}
+
+// 閾値以上で周囲8ピクセルより大きい位置
+function findLocalMaxima(scores, width, height, threshold) {
+    const maxima = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const score = scores[y * width + x];
+            if (score < threshold) continue;
+
+            let isMaximum = true;
+            for (let dy = -1; dy <= 1 && isMaximum; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if ((dx === 0 && dy === 0) || nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+                    // 同じ値が並ぶ場合は左上の位置を極大とする
+                    const neighbor = scores[ny * width + nx];
+                    if (neighbor > score || (neighbor === score && (dy < 0 || (dy === 0 && dx < 0)))) {
+                        isMaximum = false;
+                        break;
+                    }
+                }
+            }
+            if (isMaximum) {
+                maxima.push({ x, y });
+            }
+        }
+    }
+    return maxima;
+}
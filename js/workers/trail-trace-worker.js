@@ -0,0 +1,240 @@
+// 画像上の2点間で、指定した色に近いピクセルをたどる最小コスト経路を求めるWeb Worker
+// 入力: { width, height, data: 探索範囲のRGBA配列, color: [r, g, b], start: { x, y }, end: { x, y }, options }（座標は探索範囲の左上が原点）
+// 出力: { type: 'result', points: 簡略化した経路 [{ x, y }], pixelCount, matchedRatio } または { type: 'error', message }
+
+const SQRT2 = Math.SQRT2;
+
+self.onmessage = (event) => {
+    try {
+        const result = traceTrail(event.data);
+        self.postMessage({ type: 'result', ...result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+// 探索範囲は呼び出し元で切り出して渡される
+function traceTrail({ width: regionWidth, height: regionHeight, data, color, start, end, options }) {
+    const { tolerance, offTrailCost, snapRadius, simplifyTolerance } = options;
+    const pixelCount = regionWidth * regionHeight;
+
+    // 各ピクセルの通過コスト（指定色に近いほど小さく、線の外は途切れを越えられる程度の大きな値）
+    const costs = new Float32Array(pixelCount);
+    const matches = new Uint8Array(pixelCount);
+    for (let y = 0; y < regionHeight; y++) {
+        for (let x = 0; x < regionWidth; x++) {
+            const offset = (y * regionWidth + x) * 4;
+            const distance = Math.hypot(data[offset] - color[0], data[offset + 1] - color[1], data[offset + 2] - color[2]);
+            const index = y * regionWidth + x;
+            if (data[offset + 3] > 0 && distance <= tolerance) {
+                costs[index] = 1 + distance / Math.max(tolerance, 1);
+                matches[index] = 1;
+            } else {
+                costs[index] = offTrailCost;
+            }
+        }
+    }
+
+    const toIndex = (point) => clamp(Math.round(point.y), 0, regionHeight - 1) * regionWidth + clamp(Math.round(point.x), 0, regionWidth - 1);
+
+    // 指定位置の近くの線上のピクセルに合わせる（線がない場合は指定位置のまま）
+    const snapToTrail = (point) => {
+        const index = toIndex(point);
+        const centerX = index % regionWidth;
+        const centerY = Math.floor(index / regionWidth);
+        let bestIndex = index;
+        let bestDistance = matches[index] ? 0 : Infinity;
+
+        for (let dy = -snapRadius; dy <= snapRadius; dy++) {
+            for (let dx = -snapRadius; dx <= snapRadius; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || y < 0 || x >= regionWidth || y >= regionHeight) continue;
+
+                const candidate = y * regionWidth + x;
+                const distance = dx * dx + dy * dy;
+                if (matches[candidate] && distance < bestDistance) {
+                    bestDistance = distance;
+                    bestIndex = candidate;
+                }
+            }
+        }
+        return bestIndex;
+    };
+
+    const startIndex = snapToTrail(start);
+    const endIndex = snapToTrail(end);
+
+    const previous = findLeastCostPath(costs, regionWidth, regionHeight, startIndex, endIndex);
+    if (!previous) {
+        throw new Error('2点間の経路が見つかりません。');
+    }
+
+    // 終点から逆にたどって経路を復元
+    const path = [];
+    let matchedCount = 0;
+    for (let index = endIndex; index !== -1; index = previous[index]) {
+        path.push({ x: index % regionWidth, y: Math.floor(index / regionWidth) });
+        matchedCount += matches[index];
+        if (index === startIndex) break;
+    }
+    path.reverse();
+
+    return {
+        points: simplifyPath(path, simplifyTolerance),
+        pixelCount: path.length,
+        matchedRatio: matchedCount / path.length
+    };
+}
+
+// ダイクストラ法（8近傍）で最小コスト経路を探索し、各ピクセルの直前のピクセルを返す（到達できない場合はnull）
+function findLeastCostPath(costs, regionWidth, regionHeight, startIndex, endIndex) {
+    const pixelCount = regionWidth * regionHeight;
+    const distances = new Float64Array(pixelCount).fill(Infinity);
+    const previous = new Int32Array(pixelCount).fill(-1);
+    const visited = new Uint8Array(pixelCount);
+    const heap = new MinHeap();
+
+    distances[startIndex] = 0;
+    heap.push(startIndex, 0);
+
+    while (heap.size() > 0) {
+        const { index, priority } = heap.pop();
+        if (visited[index] || priority > distances[index]) continue;
+        visited[index] = 1;
+
+        if (index === endIndex) {
+            return previous;
+        }
+
+        const x = index % regionWidth;
+        const y = Math.floor(index / regionWidth);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= regionWidth || ny >= regionHeight) continue;
+
+                const neighbor = ny * regionWidth + nx;
+                if (visited[neighbor]) continue;
+
+                // 2ピクセルのコストの平均 × 移動距離
+                const step = (costs[index] + costs[neighbor]) / 2 * (dx !== 0 && dy !== 0 ? SQRT2 : 1);
+                const distance = priority + step;
+                if (distance < distances[neighbor]) {
+                    distances[neighbor] = distance;
+                    previous[neighbor] = index;
+                    heap.push(neighbor, distance);
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+// Douglas-Peucker法で経路を簡略化（再帰の深さを避けるためスタックで処理）
+function simplifyPath(points, tolerance) {
+    if (points.length <= 2) {
+        return points;
+    }
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let maxIndex = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = pointToSegmentDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+
+        if (maxIndex !== -1 && maxDistance > tolerance) {
+            keep[maxIndex] = 1;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+
+    return points.filter((_, index) => keep[index]);
+}
+
+function pointToSegmentDistance(point, segmentStart, segmentEnd) {
+    const dx = segmentEnd.x - segmentStart.x;
+    const dy = segmentEnd.y - segmentStart.y;
+    const lengthSquared = dx * dx + dy * dy;
+    if (lengthSquared === 0) {
+        return Math.hypot(point.x - segmentStart.x, point.y - segmentStart.y);
+    }
+
+    const t = clamp(((point.x - segmentStart.x) * dx + (point.y - segmentStart.y) * dy) / lengthSquared, 0, 1);
+    return Math.hypot(point.x - (segmentStart.x + t * dx), point.y - (segmentStart.y + t * dy));
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// 優先度付きキュー（二分ヒープ）
+class MinHeap {
+    constructor() {
+        this.indices = [];
+        this.priorities = [];
+    }
+
+    size() {
+        return this.indices.length;
+    }
+
+    push(index, priority) {
+        this.indices.push(index);
+        this.priorities.push(priority);
+        let child = this.indices.length - 1;
+
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.swap(child, parent);
+            child = parent;
+        }
+    }
+
+    pop() {
+        const top = { index: this.indices[0], priority: this.priorities[0] };
+        const lastIndex = this.indices.pop();
+        const lastPriority = this.priorities.pop();
+
+        if (this.indices.length > 0) {
+            this.indices[0] = lastIndex;
+            this.priorities[0] = lastPriority;
+            let parent = 0;
+
+            while (true) {
+                const left = parent * 2 + 1;
+                const right = left + 1;
+                let smallest = parent;
+                if (left < this.indices.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.indices.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === parent) break;
+                this.swap(parent, smallest);
+                parent = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    swap(a, b) {
+        [this.indices[a], this.indices[b]] = [this.indices[b], this.indices[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}